@@ -0,0 +1,44 @@
+// Click analysis off the page's thread: detection, then a spectral centroid and level per click.
+// The page sends {type: "start", length, sampleRate, detection, bandpass, area}, the audio as
+// {type: "samples", at, chunk} messages, then {type: "analyze"}. Posts {type: "progress", done,
+// total} while it works and {type: "done", ...} at the end; the page cancels by terminating the worker.
+importScripts("beatgrid-core.js");
+
+const PROGRESS_EVERY = 64; // clicks between progress messages
+
+let job = null; // the "start" settings and the samples received so far
+
+self.onmessage = (e) => {
+  const msg = e.data;
+  if (msg.type === "start") {
+    job = { ...msg, samples: new Float32Array(msg.length) };
+    return;
+  }
+  if (msg.type === "samples") {
+    job.samples.set(msg.chunk, msg.at);
+    return;
+  }
+  analyze(job);
+};
+
+function analyze({ samples, sampleRate, detection, bandpass, area }) {
+  try {
+    const { env, thr, clicks } = BeatGridCore.detectClickOnsets(samples, sampleRate, detection, bandpass, area);
+    self.postMessage({ type: "progress", done: 0, total: clicks.length });
+
+    const centroids = new Float64Array(clicks.length);
+    const levels = new Float64Array(clicks.length);
+    for (let i = 0; i < clicks.length; i++) {
+      centroids[i] = BeatGridCore.analyzeCentroid(samples, sampleRate, clicks[i]);
+      levels[i] = BeatGridCore.clickLevelDb(samples, sampleRate, clicks[i]);
+      if ((i + 1) % PROGRESS_EVERY === 0) self.postMessage({ type: "progress", done: i + 1, total: clicks.length });
+    }
+
+    self.postMessage(
+      { type: "done", clicks, centroids, levels, odf: env.odf, odfMax: env.odfMax, hop: env.hop, thr },
+      [centroids.buffer, levels.buffer, env.odf.buffer, thr.buffer]
+    );
+  } catch (err) {
+    self.postMessage({ type: "error", message: err?.message || String(err) });
+  }
+}
@@ -0,0 +1,1864 @@
+// Everything between the audio samples and the MA3 plugin that needs no DOM or Web Audio:
+// click detection, band-pass filtering and click spectra, channel picking, downbeats, bars,
+// tempo outputs, timecode and the Lua/XML export. Shared by the page (script.js), the
+// analysis worker (analysis-worker.js) and the command line tool (cli.js); plain functions
+// on Float32Arrays and beat lists, so they run anywhere.
+(function (root) {
+  "use strict";
+
+  const clamp = (v, a, b) => Math.max(a, Math.min(b, v));
+  const fmt3 = (n) => (Math.round(n * 1000) / 1000).toFixed(3);
+  const fmt1 = (n) => (Math.round(n * 10) / 10).toFixed(1);
+
+  // sensitivity 0..1; 0.5 ≈ the old fixed 35% threshold
+  const DEFAULT_DETECTION = { sensitivity: 0.5, minGapMs: 80, peakSearchMs: 8 };
+  // Preliminary downbeats: mode "pitch" (tones clusters), "volume" or "meter" (every `meter`
+  // beats from the beat nearest firstDownbeat seconds, or the first beat)
+  const DEFAULT_CLASSIFIER = { mode: "pitch", tones: 2, meter: 4, firstDownbeat: null };
+  // tempo from fitted steady/ramp segments instead of beat-to-beat (see GRID REGULARIZATION)
+  const DEFAULT_REGULARIZE = { enabled: false, toleranceMs: 2 };
+  // song start on the show's timecode (a TC_RATES key); beat times stay relative to the audio
+  const DEFAULT_TIMECODE = { start: "00:00:00:00", rate: "30" };
+  // How the plugin draws markers. Names are templates ({tempo} = the tempo when it changes,
+  // else nothing). duration: "fraction" of the beat, "fixed" seconds, or "bar" (downbeats
+  // span their bar, other beats use the fraction). The defaults are the original plugin's.
+  const DEFAULT_MARKER_STYLE = {
+    downName: "{tempo}",
+    otherName: "{tempo}",
+    downAppearance: "BeatGridOnes",
+    downColor: "#fcfcfc",
+    otherAppearance: "BeatGridOthers",
+    otherColor: "#000000",
+    duration: "fraction",
+    durationValue: 0.5
+  };
+  // Project files (.beatgrid.json), written by the page and the command line tool
+  const PROJECT_FORMAT = "clicktrack-beatgrid-project";
+  const PROJECT_VERSION = 1;
+  const PROJECT_BEAT_FIELDS = ["time", "downbeat", "centroid", "level", "downbeatConfidence", "interpolated"];
+  // What of the file is analyzed and exported (see ANALYSIS REGION): region {start, end} in
+  // seconds or null for all of it, exclusions [{start, end}], and rebase to count beat times
+  // from the region start instead of the file start
+  const DEFAULT_AREA = { region: null, exclusions: [], rebase: false };
+
+  // ---------- CLICK DETECTION ----------
+  // Sub-sample peak refinement using a parabola through 3 points.
+  // Returns an offset in samples (typically in [-0.5, 0.5]).
+  function parabolicOffset(yPrev, y0, yNext) {
+    const denom = (yPrev - 2 * y0 + yNext);
+    if (denom === 0) return 0;
+    return 0.5 * (yPrev - yNext) / denom;
+  }
+  
+  // Given samples and an integer peak index p, return refined peak time in seconds.
+  function refinedPeakTimeSeconds(samples, p, sr) {
+    // Need p-1 and p+1 valid
+    if (p <= 0 || p >= samples.length - 1) return p / sr;
+  
+    const yPrev = Math.abs(samples[p - 1]);
+    const y0    = Math.abs(samples[p]);
+    const yNext = Math.abs(samples[p + 1]);
+  
+    const off = parabolicOffset(yPrev, y0, yNext); // fractional samples
+    return (p + off) / sr;
+  }
+
+  // Onset detection function on a ~1ms peak envelope: how far each frame rises above the
+  // quietest of the 3 frames before it. Comparing against a few frames back keeps the spike
+  // height steady when a click starts in the middle of a frame.
+  function onsetEnvelope(samples, sr) {
+    const hop = Math.max(1, Math.round(sr * 0.001));
+    const frames = Math.floor(samples.length / hop);
+    const env = new Float32Array(frames);
+    for (let j = 0; j < frames; j++) {
+      const base = j * hop;
+      let m = 0;
+      for (let k = 0; k < hop; k++) {
+        const a = Math.abs(samples[base + k]);
+        if (a > m) m = a;
+      }
+      env[j] = m;
+    }
+
+    const odf = new Float32Array(frames);
+    let odfMax = 0;
+    for (let j = 1; j < frames; j++) {
+      const before = Math.min(env[j - 1], env[Math.max(0, j - 2)], env[Math.max(0, j - 3)]);
+      const d = env[j] - before;
+      if (d > 0) {
+        odf[j] = d;
+        if (d > odfMax) odfMax = d;
+      }
+    }
+    return { hop, odf, odfMax };
+  }
+
+  // Max of values[j - radius .. j + radius] for every j (monotonic deque, O(n)).
+  function slidingMax(values, radius) {
+    const n = values.length;
+    const out = new Float32Array(n);
+    const dq = new Int32Array(n);
+    let head = 0, tail = 0, next = 0;
+
+    for (let j = 0; j < n; j++) {
+      const hi = Math.min(n - 1, j + radius);
+      for (; next <= hi; next++) {
+        while (tail > head && values[dq[tail - 1]] <= values[next]) tail--;
+        dq[tail++] = next;
+      }
+      while (dq[head] < j - radius) head++;
+      out[j] = values[dq[head]];
+    }
+    return out;
+  }
+
+  // Threshold that follows the local level: a fraction of the strongest onset within ±1s,
+  // so a loud count-in or a quiet bridge only moves it locally. The floor is tied to the
+  // whole file so stretches of silence don't promote noise to clicks.
+  function adaptiveThreshold(env, sr, sensitivity) {
+    const { hop, odf, odfMax } = env;
+    const ratio = 0.05 + (1 - clamp(sensitivity, 0, 1)) * 0.6;
+    const floor = odfMax * ratio * 0.1;
+    const localMax = slidingMax(odf, Math.max(1, Math.round(sr / hop)));
+
+    const thr = new Float32Array(odf.length);
+    for (let j = 0; j < odf.length; j++) thr[j] = Math.max(localMax[j] * ratio, floor);
+    return thr;
+  }
+
+  function pickOnsets(samples, sr, env, thr, opts) {
+    const { hop, odf } = env;
+    const minGap = opts.minGapMs / 1000;
+    const peakSearch = Math.max(1, Math.floor((opts.peakSearchMs / 1000) * sr));
+
+    const clicks = [];
+    let last = -Infinity;
+
+    for (let j = 1; j < odf.length; j++) {
+      if (odf[j] <= 0 || odf[j] < thr[j]) continue;
+
+      // the click may already have started in frame j-1
+      const i = (j - 1) * hop;
+      if (i / sr - last <= minGap) continue;
+
+      // 1) Find the strongest peak shortly after the onset
+      const end = Math.min(samples.length - 2, i + hop + peakSearch);
+      let p = i;
+      let best = Math.abs(samples[i]);
+      for (let k = i + 1; k <= end; k++) {
+        const a = Math.abs(samples[k]);
+        if (a > best) {
+          best = a;
+          p = k;
+        }
+      }
+
+      // 2) Refine peak to sub-sample precision
+      const refinedT = refinedPeakTimeSeconds(samples, p, sr);
+      clicks.push(refinedT);
+      last = refinedT;
+
+      // 3) Skip ahead a bit so we don't re-trigger on the same click tail
+      j = Math.floor((p + Math.floor(0.002 * sr)) / hop); // 2ms
+    }
+
+    return clicks;
+  }
+
+  function detectClicks(samples, sr, opts = DEFAULT_DETECTION, area = null) {
+    const env = maskOnsetEnvelope(onsetEnvelope(samples, sr), sr, area);
+    const thr = adaptiveThreshold(env, sr, opts.sensitivity);
+    return pickOnsets(samples, sr, env, thr, opts).filter(t => inAnalysisArea(t, area));
+  }
+
+  // Detection the way the page previews it: onsets from the band-passed signal when isolation
+  // is on, peaks refined on the raw samples so filtering never shifts click times.
+  function detectClickOnsets(samples, sr, opts = DEFAULT_DETECTION, bandpass = null, area = null) {
+    const source = (bandpass && bandpass.enabled) ? bandpassFilter(samples, sr, bandpass.low, bandpass.high) : samples;
+    const env = maskOnsetEnvelope(onsetEnvelope(source, sr), sr, area);
+    const thr = adaptiveThreshold(env, sr, opts.sensitivity);
+    return { env, thr, clicks: pickOnsets(samples, sr, env, thr, opts).filter(t => inAnalysisArea(t, area)) };
+  }
+
+  // ---------- ANALYSIS REGION ----------
+  // Count-ins, pre-roll noise, talkback and tails kept out of the grid: only the area (the
+  // region minus its exclusions) is analyzed and exported. A null or empty area is the whole file.
+  function areaIsSet(area) {
+    return !!area && (!!area.region || (area.exclusions || []).length > 0);
+  }
+
+  function inAnalysisArea(time, area) {
+    if (!areaIsSet(area)) return true;
+    const r = area.region;
+    if (r && (time < r.start || time > r.end)) return false;
+    return !(area.exclusions || []).some(x => time >= x.start && time <= x.end);
+  }
+
+  // The onset envelope silenced outside the area, so the detector and its threshold floor
+  // only hear the region (a loud talkback mic can't push the floor up)
+  function maskOnsetEnvelope(env, sr, area) {
+    if (!areaIsSet(area)) return env;
+    const { hop } = env;
+    const odf = new Float32Array(env.odf.length);
+    let odfMax = 0;
+    for (let j = 0; j < odf.length; j++) {
+      if (!inAnalysisArea((j * hop) / sr, area)) continue;
+      odf[j] = env.odf[j];
+      if (odf[j] > odfMax) odfMax = odf[j];
+    }
+    return { hop, odf, odfMax };
+  }
+
+  // Exclusions cut the grid: the beats either side of one aren't neighbours, so no tempo is
+  // taken across it and bars don't run through it. → breaks[i] = 1 when an exclusion lies
+  // between beats i - 1 and i (null when nothing is excluded)
+  function areaBreaks(beats, area) {
+    const exclusions = (area && area.exclusions) || [];
+    if (!exclusions.length) return null;
+    const breaks = new Uint8Array(beats.length);
+    for (let i = 1; i < beats.length; i++) {
+      const t0 = beats[i - 1].time, t1 = beats[i].time;
+      if (exclusions.some(x => x.end > t0 && x.start < t1)) breaks[i] = 1;
+    }
+    return breaks;
+  }
+
+  // Index ranges [from, to) of the runs of beats between breaks
+  function breakRuns(count, breaks) {
+    const runs = [];
+    let from = 0;
+    for (let i = 1; i <= count; i++) {
+      if (i === count || (breaks && breaks[i])) {
+        runs.push([from, i]);
+        from = i;
+      }
+    }
+    return runs;
+  }
+
+  // Seconds taken off every exported time: the region start when rebasing, else 0
+  function areaTimeShift(area) {
+    return area && area.rebase && area.region ? area.region.start : 0;
+  }
+
+  // Beats and sections as exported: sections cut to the region, all times shifted by
+  // areaTimeShift. Beats are expected to be inside the area already.
+  function rebaseGrid(beats, sections, area) {
+    const r = area && area.region;
+    const shift = areaTimeShift(area);
+    const cut = (sections || [])
+      .map(sec => r ? { ...sec, start: Math.max(sec.start, r.start), end: Math.min(sec.end, r.end) } : sec)
+      .filter(sec => sec.end > sec.start);
+    if (!shift) return { beats, sections: cut };
+    return {
+      beats: beats.map(b => ({ ...b, time: b.time - shift })),
+      sections: cut.map(sec => ({ ...sec, start: sec.start - shift, end: sec.end - shift }))
+    };
+  }
+
+  // ---------- BAND-PASS FILTER ----------
+  // RBJ cookbook biquad, coefficients normalized by a0
+  function biquadCoeffs(type, f0, sr, q = Math.SQRT1_2) {
+    const w0 = (2 * Math.PI * clamp(f0, 1, sr * 0.49)) / sr;
+    const cos = Math.cos(w0);
+    const alpha = Math.sin(w0) / (2 * q);
+    const b0 = type === "lowpass" ? (1 - cos) / 2 : (1 + cos) / 2;
+    const b1 = type === "lowpass" ? 1 - cos : -(1 + cos);
+    const a0 = 1 + alpha;
+    return { b0: b0 / a0, b1: b1 / a0, b2: b0 / a0, a1: (-2 * cos) / a0, a2: (1 - alpha) / a0 };
+  }
+
+  function biquadInPlace(x, c, reverse) {
+    let z1 = 0, z2 = 0; // transposed direct form II state
+    const n = x.length;
+    for (let k = 0; k < n; k++) {
+      const i = reverse ? n - 1 - k : k;
+      const v = x[i];
+      const y = c.b0 * v + z1;
+      z1 = c.b1 * v - c.a1 * y + z2;
+      z2 = c.b2 * v - c.a2 * y;
+      x[i] = y;
+    }
+  }
+
+  // High-pass at lowHz + low-pass at highHz, run forward and backward (zero phase),
+  // so filtered click peaks stay exactly where the clicks are.
+  function bandpassFilter(samples, sr, lowHz, highHz) {
+    const out = new Float32Array(samples);
+    const hp = biquadCoeffs("highpass", lowHz, sr);
+    const lp = biquadCoeffs("lowpass", highHz, sr);
+    for (const reverse of [false, true]) {
+      biquadInPlace(out, hp, reverse);
+      biquadInPlace(out, lp, reverse);
+    }
+    return out;
+  }
+
+  // ---------- SPECTRUM ----------
+  const fftTwiddles = new Map();
+
+  // In-place iterative radix-2 FFT; re/im length must be a power of two
+  function fftInPlace(re, im) {
+    const n = re.length;
+    for (let i = 1, j = 0; i < n; i++) {
+      let bit = n >> 1;
+      for (; j & bit; bit >>= 1) j ^= bit;
+      j ^= bit;
+      if (i < j) {
+        let t = re[i]; re[i] = re[j]; re[j] = t;
+        t = im[i]; im[i] = im[j]; im[j] = t;
+      }
+    }
+
+    let tw = fftTwiddles.get(n);
+    if (!tw) {
+      tw = { cos: new Float64Array(n / 2), sin: new Float64Array(n / 2) };
+      for (let k = 0; k < n / 2; k++) {
+        tw.cos[k] = Math.cos((-2 * Math.PI * k) / n);
+        tw.sin[k] = Math.sin((-2 * Math.PI * k) / n);
+      }
+      fftTwiddles.set(n, tw);
+    }
+
+    for (let len = 2; len <= n; len <<= 1) {
+      const half = len >> 1;
+      const step = n / len;
+      for (let i = 0; i < n; i += len) {
+        for (let k = 0; k < half; k++) {
+          const wr = tw.cos[k * step], wi = tw.sin[k * step];
+          const a = i + k, b = a + half;
+          const vr = re[b] * wr - im[b] * wi;
+          const vi = re[b] * wi + im[b] * wr;
+          re[b] = re[a] - vr; im[b] = im[a] - vi;
+          re[a] += vr; im[a] += vi;
+        }
+      }
+    }
+  }
+
+  const blackmanCache = new Map();
+  function blackmanWindow(size) {
+    let w = blackmanCache.get(size);
+    if (!w) {
+      w = new Float64Array(size);
+      for (let i = 0; i < size; i++) {
+        w[i] = 0.42 - 0.5 * Math.cos((2 * Math.PI * i) / size) + 0.08 * Math.cos((4 * Math.PI * i) / size);
+      }
+      blackmanCache.set(size, w);
+    }
+    return w;
+  }
+
+  // dB spectrum of the `size` samples starting at `time`, or null past the end. Computed the
+  // way a fresh AnalyserNode reports it (Blackman window, 1/N scaling, default 0.8 smoothing
+  // against an all-zero previous frame), so centroids and the -80dB cut match what the
+  // OfflineAudioContext version measured.
+  function analyzeSpectrum(samples, sr, time, size = 2048) {
+    const start = Math.floor(time * sr);
+    if (start < 0 || start + size >= samples.length) return null;
+
+    const win = blackmanWindow(size);
+    const re = new Float64Array(size);
+    const im = new Float64Array(size);
+    for (let i = 0; i < size; i++) re[i] = samples[start + i] * win[i];
+    fftInPlace(re, im);
+
+    const bins = size >> 1;
+    const freqData = new Float32Array(bins);
+    const scale = (1 - 0.8) / size;
+    for (let k = 0; k < bins; k++) {
+      freqData[k] = 20 * Math.log10(Math.hypot(re[k], im[k]) * scale);
+    }
+    return freqData;
+  }
+
+  function spectralCentroid(freqDataDb, sampleRate, fftSize) {
+    // Compute centroid in a useful band to avoid “everything ~7400Hz”:
+    // ignore bins < ~150Hz and > ~8000Hz and ignore ultra-low magnitudes.
+    const nyquist = sampleRate / 2;
+    const binHz = sampleRate / fftSize;
+
+    const lowHz = 150;
+    const highHz = Math.min(8000, nyquist);
+
+    const startBin = Math.floor(lowHz / binHz);
+    const endBin = Math.min(freqDataDb.length - 1, Math.floor(highHz / binHz));
+
+    let weightedSum = 0;
+    let magSum = 0;
+
+    for (let i = startBin; i <= endBin; i++) {
+      const db = freqDataDb[i];
+      // Ignore extremely quiet bins
+      if (db < -80) continue;
+
+      const mag = Math.pow(10, db / 20); // dB → linear
+      const freq = i * binHz;
+
+      weightedSum += freq * mag;
+      magSum += mag;
+    }
+
+    return magSum ? (weightedSum / magSum) : 0;
+  }
+
+  function analyzeCentroid(samples, sr, time) {
+    const size = 2048;
+    const freqData = analyzeSpectrum(samples, sr, time, size);
+    return freqData ? spectralCentroid(freqData, sr, size) : 0;
+  }
+
+  // Peak level of a click in dBFS: the loudest sample in the windowMs after `time`
+  function clickLevelDb(samples, sr, time, windowMs = 10) {
+    const start = Math.max(0, Math.floor(time * sr));
+    const end = Math.min(samples.length, start + Math.ceil((windowMs / 1000) * sr));
+    let peak = 0;
+    for (let i = start; i < end; i++) {
+      const a = Math.abs(samples[i]);
+      if (a > peak) peak = a;
+    }
+    return peak > 0 ? 20 * Math.log10(peak) : -120;
+  }
+
+  // ---------- CHANNELS ----------
+  // Avoid "Maximum call stack size exceeded" by NOT using Math.max(...bigArray)
+  function maxAbs(samples) {
+    let m = 0;
+    for (let i = 0; i < samples.length; i++) {
+      const v = Math.abs(samples[i]);
+      if (v > m) m = v;
+    }
+    return m;
+  }
+
+  function channelLabel(c, count) {
+    if (count === 2) return c === 0 ? "Ch 1 (L)" : "Ch 2 (R)";
+    return `Ch ${c + 1}`;
+  }
+
+  function mixToMono(buffer) {
+    const n = buffer.numberOfChannels;
+    if (n === 1) return buffer.getChannelData(0);
+    const out = new Float32Array(buffer.length);
+    for (let c = 0; c < n; c++) {
+      const data = buffer.getChannelData(c);
+      for (let i = 0; i < out.length; i++) out[i] += data[i] / n;
+    }
+    return out;
+  }
+
+  // 0..1: how much a channel looks like a click track. A click has steady inter-onset
+  // intervals and nearly all of its energy right at those onsets; music and talkback don't.
+  // Scored on (up to) two minutes from the middle of the file to keep long files quick.
+  function scoreClickChannel(samples, sr, detection = DEFAULT_DETECTION) {
+    const maxLen = Math.floor(120 * sr);
+    const from = Math.max(0, Math.floor((samples.length - maxLen) / 2));
+    const excerpt = samples.subarray(from, Math.min(samples.length, from + maxLen));
+    if (maxAbs(excerpt) < 1e-4) return 0; // silent
+
+    const times = detectClicks(excerpt, sr, detection);
+    if (times.length < 4) return 0;
+
+    const iois = [];
+    for (let i = 1; i < times.length; i++) iois.push(times[i] - times[i - 1]);
+    const med = iois.slice().sort((a, b) => a - b)[iois.length >> 1];
+    let steady = 0;
+    for (const d of iois) if (Math.abs(d - med) <= med * 0.1) steady++;
+    const regularity = steady / iois.length;
+
+    // share of the energy within 30ms after each onset
+    const pre = Math.floor(0.002 * sr);
+    const win = Math.floor(0.03 * sr);
+    let totalE = 0, onsetE = 0;
+    for (let i = 0; i < excerpt.length; i++) totalE += excerpt[i] * excerpt[i];
+    for (const t of times) {
+      const s0 = Math.max(0, Math.floor(t * sr) - pre);
+      const s1 = Math.min(excerpt.length, s0 + win);
+      for (let i = s0; i < s1; i++) onsetE += excerpt[i] * excerpt[i];
+    }
+    const concentration = totalE ? Math.min(1, onsetE / totalE) : 0;
+
+    // outside 24..400 BPM it is not a usable click
+    const plausible = (med >= 0.15 && med <= 2.5) ? 1 : 0.1;
+    return regularity * concentration * plausible;
+  }
+
+  // Resolve the channel picker into the samples to analyze.
+  // mode: "auto" | "mix" | channel index as a string. buffer: an AudioBuffer or anything
+  // shaped like one ({sampleRate, numberOfChannels, length, getChannelData(c)})
+  function pickAnalysisChannel(buffer, mode, detection = DEFAULT_DETECTION) {
+    const n = buffer.numberOfChannels;
+    if (mode === "mix") return { samples: mixToMono(buffer), channel: -1, scores: null };
+
+    if (mode !== "auto") {
+      const c = clamp(Number(mode) || 0, 0, n - 1);
+      return { samples: buffer.getChannelData(c), channel: c, scores: null };
+    }
+
+    if (n === 1) return { samples: buffer.getChannelData(0), channel: 0, scores: null };
+    const scores = [];
+    for (let c = 0; c < n; c++) scores.push(scoreClickChannel(buffer.getChannelData(c), buffer.sampleRate, detection));
+    let best = 0;
+    for (let c = 1; c < n; c++) if (scores[c] > scores[best]) best = c;
+    return { samples: buffer.getChannelData(best), channel: best, scores };
+  }
+
+  // ---------- BARS AND TEMPO ----------
+  // First index whose beat time is >= t (beats are chronological)
+  function lowerBoundBeat(beats, t) {
+    let lo = 0, hi = beats.length;
+    while (lo < hi) {
+      const midIdx = (lo + hi) >> 1;
+      if (beats[midIdx].time < t) lo = midIdx + 1; else hi = midIdx;
+    }
+    return lo;
+  }
+
+  // Simple k-means on 1-D values (click centroids or levels), more stable than a median split.
+  // Centers start evenly spaced from min to max, so k = 2 starts at the extremes.
+  // → centers in ascending order, and each value's cluster index
+  function kmeans(values, k = 2) {
+    if (values.length < k) {
+      const only = values.length ? values[0] : 0;
+      return { centers: Array(k).fill(only), assign: values.map(() => 0) };
+    }
+
+    let min = Infinity, max = -Infinity;
+    for (const v of values) { if (v < min) min = v; if (v > max) max = v; }
+    let centers = Array.from({ length: k }, (_, j) => min + ((max - min) * j) / (k - 1));
+    const assign = new Int32Array(values.length);
+
+    const nearest = (v) => {
+      let best = 0;
+      for (let j = 1; j < k; j++) if (Math.abs(v - centers[j]) < Math.abs(v - centers[best])) best = j;
+      return best;
+    };
+
+    for (let iter = 0; iter < 20; iter++) {
+      const sums = new Float64Array(k);
+      const counts = new Int32Array(k);
+      values.forEach((v, i) => {
+        const j = nearest(v);
+        assign[i] = j;
+        sums[j] += v;
+        counts[j]++;
+      });
+
+      const next = centers.map((c, j) => (counts[j] ? sums[j] / counts[j] : c));
+      const moved = next.some((c, j) => Math.abs(c - centers[j]) >= 1e-6);
+      centers = next;
+      if (!moved) break;
+    }
+    values.forEach((v, i) => { assign[i] = nearest(v); });
+
+    return { centers, assign: Array.from(assign) };
+  }
+
+  // Beats-per-bar autodetect + refine downbeats to a bar grid, bar by bar.
+  // Dynamic programming over bar lengths 2..12: every bar is scored against the preliminary
+  // (centroid) downbeats, and switching meter costs a little, so the grid follows real meter
+  // changes (4/4 → 2/4 → 4/4) but not a single misclassified click. A pickup of up to 11
+  // beats before the first full bar is free, and a short last bar is fine.
+  // pins: [{start, end, beatsPerBar}] in seconds start a bar at their first beat and force
+  // the meter of every bar starting inside them.
+  // Each run between exclusions is fitted on its own: a bar can't reach across one.
+  function refineDownbeatsByBarGrid(beats, pins = [], area = null) {
+    const runs = breakRuns(beats.length, areaBreaks(beats, area));
+    const fitted = runs.map(([from, to]) => refineRunByBarGrid(beats.slice(from, to), pins));
+    const barCounts = new Map();
+    for (const run of fitted) {
+      for (const [len, count] of run.barCounts) barCounts.set(len, (barCounts.get(len) || 0) + count);
+    }
+    let beatsPerBar = 4, most = 0;
+    for (const [len, count] of barCounts) {
+      if (count > most) { most = count; beatsPerBar = len; }
+    }
+    return { beatsPerBar, beats: [].concat(...fitted.map(run => run.beats)) };
+  }
+
+  // → {beats, barCounts: Map(bar length → bars)}
+  function refineRunByBarGrid(beats, pins) {
+    // beats are chronological, each has centroid and preliminary downbeat
+    const n = beats.length;
+    if (n < 8) return { beats, barCounts: new Map() };
+
+    const MIN_BPB = 2, MAX_BPB = 12;
+    // Meter changes: going into and out of a passage (4/4 → 2/4 → 4/4) has to cost less than
+    // the 3 points of one dropped downbeat, or short passages get flattened. A bar whose
+    // length matches neither neighbour pays extra: a lone short bar (one 2/4 bar) a little, a
+    // lone long bar (mostly a downbeat that wasn't flagged) more, so one click flagged a beat
+    // early or late (4,3,5,4) still costs more than the 6 points it swings.
+    const CHANGE_PENALTY = 1.2;
+    const SHORT_BAR_PENALTY = 1;
+    const LONG_BAR_PENALTY = 2.5;
+    const prelim = beats.map(b => b.downbeat ? 1 : 0);
+
+    // Reward agreement, mildly penalize disagreement (+2 / -1), as prefix sums for "not a downbeat"
+    const upSum = new Float64Array(n + 1);
+    for (let i = 0; i < n; i++) upSum[i + 1] = upSum[i] + (prelim[i] ? -1 : 2);
+    const barScore = (i, len) => (prelim[i] ? 2 : -1) + upSum[Math.min(n, i + len)] - upSum[i + 1];
+
+    const pinned = new Int32Array(n); // forced bar length for a bar starting at beat i, 0 = free
+    const mustStart = new Int32Array(n + 1); // prefix count of beats that have to be downbeats
+    for (const pin of pins) {
+      let first = true;
+      for (let i = 0; i < n; i++) {
+        if (beats[i].time < pin.start || beats[i].time >= pin.end) continue;
+        pinned[i] = pin.beatsPerBar;
+        if (first) { mustStart[i + 1] = 1; first = false; }
+      }
+    }
+    for (let i = 0; i < n; i++) mustStart[i + 1] += mustStart[i];
+    // a bar may not swallow a pinned downbeat
+    const allowed = (i, len) => (!pinned[i] || pinned[i] === len) &&
+      mustStart[Math.min(n, i + len)] === mustStart[i + 1];
+
+    // state = (bar starts at beat i, has len beats, changed: 0 = as long as the bar before,
+    // 1 = shorter, 2 = longer) → index (i * W + len) * 3 + changed
+    const W = MAX_BPB + 1;
+    const best = new Float64Array(n * W * 3).fill(-Infinity);
+    const from = new Int32Array(n * W * 3).fill(-1);
+    const oddBarPenalty = [0, SHORT_BAR_PENALTY, LONG_BAR_PENALTY];
+
+    for (let k = 0; k < Math.min(MAX_BPB, n) && mustStart[k] === 0; k++) { // k pickup beats, scored as non-downbeats
+      for (let len = k + 1; len <= MAX_BPB; len++) { // a pickup is shorter than the bar it leads into
+        if (len >= MIN_BPB && allowed(k, len)) best[(k * W + len) * 3] = upSum[k];
+      }
+    }
+
+    let finalScore = -Infinity, finalState = -1;
+    for (let i = 0; i < n; i++) {
+      for (let len = MIN_BPB; len <= MAX_BPB; len++) {
+        for (let changed = 0; changed < 3; changed++) {
+          const st = (i * W + len) * 3 + changed;
+          const cur = best[st];
+          if (cur === -Infinity) continue;
+          const total = cur + barScore(i, len);
+          const next = i + len;
+          if (next >= n) {
+            if (total > finalScore) { finalScore = total; finalState = st; }
+            continue;
+          }
+          for (let len2 = MIN_BPB; len2 <= MAX_BPB; len2++) {
+            if (!allowed(next, len2)) continue;
+            // changing meter into or out of a pinned bar is what the pin asked for: free
+            const change = len2 === len || pinned[i] || pinned[next] ? 0 : (len2 < len ? 1 : 2);
+            const v = total - (change ? CHANGE_PENALTY + oddBarPenalty[changed] : 0);
+            const st2 = (next * W + len2) * 3 + change;
+            if (v > best[st2]) {
+              best[st2] = v;
+              from[st2] = st;
+            }
+          }
+        }
+      }
+    }
+
+    // Walk back through the chosen bars
+    const isDown = new Uint8Array(n);
+    const barCounts = new Map();
+    for (let st = finalState; st >= 0; st = from[st]) {
+      const i = Math.floor(st / 3 / W), len = Math.floor(st / 3) % W;
+      isDown[i] = 1;
+      barCounts.set(len, (barCounts.get(len) || 0) + 1);
+    }
+
+    // Apply best grid
+    return { beats: beats.map((b, i) => ({ ...b, downbeat: isDown[i] })), barCounts };
+  }
+
+  // bar:beat numbers and the meter in effect, from the downbeat flags (so hand edits renumber).
+  // Beats before the first downbeat are a pickup in bar 0, counted back from the first bar.
+  // After an exclusion counting restarts the same way: the bar cut by it ends there, the
+  // beats up to the next downbeat are a pickup into the next bar, and bar numbers carry on.
+  function annotateBars(beats, area = null) {
+    if (!beats.some(b => b.downbeat)) return beats;
+    const runs = breakRuns(beats.length, areaBreaks(beats, area)).map(([from, to]) => {
+      const downIdx = [];
+      for (let i = from; i < to; i++) if (beats[i].downbeat) downIdx.push(i);
+      const meters = downIdx.map((d, k) => (k + 1 < downIdx.length ? downIdx[k + 1] : to) - d);
+      return { from, to, downIdx, meters };
+    });
+
+    // A run's last bar is cut short by the song end or an exclusion: it keeps the meter of
+    // the last whole bar before it (or after it, when the run has none) unless it's longer
+    const whole = []; // [beat index, meter] of every bar that ends on the next downbeat
+    for (const run of runs) run.meters.slice(0, -1).forEach((m, k) => whole.push([run.downIdx[k], m]));
+    const meterNear = (i) => {
+      let near = 0;
+      for (const [d, m] of whole) {
+        if (d > i) return near || m;
+        near = m;
+      }
+      return near;
+    };
+    for (const run of runs) {
+      const last = run.meters.length - 1;
+      if (last >= 0) run.meters[last] = Math.max(run.meters[last], meterNear(run.downIdx[last]));
+    }
+
+    const out = beats.slice();
+    let bar = 0, meter = 0;
+    for (const { from, to, downIdx, meters } of runs) {
+      if (!downIdx.length) {
+        // nothing to count from: these beats carry on as one more bar
+        bar++;
+        for (let i = from; i < to; i++) out[i] = { ...beats[i], bar, beatInBar: i - from + 1, meter: Math.max(meter, to - from) };
+        continue;
+      }
+      const first = downIdx[0];
+      if (first > from) {
+        const pickupMeter = Math.max(first - from, meters[0]);
+        const pickupBar = from === 0 ? 0 : ++bar;
+        for (let i = from; i < first; i++) {
+          out[i] = { ...beats[i], bar: pickupBar, beatInBar: pickupMeter - (first - i) + 1, meter: pickupMeter };
+        }
+      }
+      downIdx.forEach((d, k) => {
+        const end = k + 1 < downIdx.length ? downIdx[k + 1] : to;
+        bar++;
+        for (let j = d; j < end; j++) {
+          out[j] = { ...beats[j], bar, beatInBar: j - d + 1, meter: meters[k] };
+        }
+      });
+      meter = meters[meters.length - 1];
+    }
+    return out;
+  }
+
+  // Forward-looking BPM (segment tempo), but beatTable emits changes vs PREVIOUS segment.
+  // Beat 0 always emits.
+  // Uses high-res tempo internally; rounds to 1 decimal only for output/display.
+  // With regularization on, tempo comes from the fitted segments instead (fittedTempoOutputs).
+  // Across an exclusion in the area the tempo before it carries on (see areaBreaks).
+  function computeTempoOutputs(beats, regularize = DEFAULT_REGULARIZE, area = null) {
+    const breaks = areaBreaks(beats, area);
+    if (regularize.enabled && beats.length >= 3) return fittedTempoOutputs(beats, regularize.toleranceMs / 1000, breaks);
+
+    const intervalTempo = (i) => {
+      const dt = beats[i + 1].time - beats[i].time;
+      return dt > 0 ? (60 / dt) : 0;
+    };
+    const segTempoRaw = (i) => {
+      if (i < 0 || i >= beats.length - 1) return 0; // last beat has no next interval
+      if (!breaks || !breaks[i + 1]) return intervalTempo(i); // <-- NO rounding here
+      // the interval spans an exclusion: the nearest real one before it, else after it
+      for (let k = i - 1; k >= 0; k--) if (!breaks[k + 1]) return intervalTempo(k);
+      for (let k = i + 1; k < beats.length - 1; k++) if (!breaks[k + 1]) return intervalTempo(k);
+      return 0;
+    };
+  
+    const segTempoOut = (i) => {
+      const raw = segTempoRaw(i);
+      return raw ? Number(fmt1(raw)) : 0; // <-- round only for output
+    };
+
+    // for the tempo curve: every segment tempo, and a smoothed version of it
+    const rawTempos = beats.map((_, i) => segTempoRaw(i));
+    const smoothTempos = smoothTempoCurve(rawTempos);
+  
+    return beats.map((b, i) => {
+      const isLast = (i === beats.length - 1);
+  
+      // high-res segment tempo starting at this beat
+      const thisRaw = isLast ? 0 : segTempoRaw(i);
+      const thisOut = isLast ? 0 : segTempoOut(i);
+  
+      // bpm field for tooltip: keep same 1-decimal output, but compute avg using raw
+      let bpmOut = thisOut;
+      if (!isLast && i === 0 && beats.length > 1) {
+        let lastIdx = Math.min(3, beats.length - 1); // 4 clicks
+        for (let k = 1; breaks && k <= lastIdx; k++) if (breaks[k]) lastIdx = k - 1; // none past a break
+        const intervals = lastIdx;
+        const totalDt = beats[lastIdx].time - beats[0].time;
+        const avgDt = intervals > 0 ? (totalDt / intervals) : 0;
+        const avgRaw = avgDt > 0 ? (60 / avgDt) : 0;
+        bpmOut = avgRaw ? Number(fmt1(avgRaw)) : thisOut;
+      }
+  
+      // beatTable tempo change emission:
+      // Keep your existing rule: emit 0 if change within 1 BPM.
+      // BUT evaluate change using high-res raw tempo (not rounded-to-0.1 first).
+      let beatTableTempo = 0;
+  
+      if (isLast) {
+        beatTableTempo = 0;
+      } else if (i === 0) {
+        beatTableTempo = thisOut; // beat 0 always announces (1 decimal)
+      } else {
+        const prevRaw = segTempoRaw(i - 1);
+        const sameEnough = (prevRaw && Math.abs(thisRaw - prevRaw) <= 1); // <-- high-res compare
+        beatTableTempo = sameEnough ? 0 : thisOut; // <-- output stays 1 decimal
+      }
+  
+      return {
+        ...b,
+        bpm: bpmOut,                 // 1 decimal, same as before
+        tempoOut: beatTableTempo,    // 1 decimal or 0, same as before
+        beatTableTempo,              // 1 decimal or 0, same as before
+        tempoRaw: rawTempos[i],      // unrounded tempo to the next beat (0 on the last beat)
+        tempoSmooth: smoothTempos[i], // moving average of tempoRaw
+        // no fit while regularization is off
+        fitTime: undefined,
+        fitResidual: undefined,
+        fitSegment: undefined,
+        fitRamp: undefined
+      };
+    });
+  }
+
+  // Centered moving average over ±radius beats (about a bar either way), skipping the empty
+  // last segment. Ramps and rubato show up in it; single-beat glitches mostly don't.
+  function smoothTempoCurve(raw, radius = 4) {
+    return raw.map((_, i) => {
+      let sum = 0, n = 0;
+      const k1 = Math.min(raw.length - 1, i + radius);
+      for (let k = Math.max(0, i - radius); k <= k1; k++) {
+        if (raw[k]) { sum += raw[k]; n++; }
+      }
+      return n ? sum / n : 0;
+    });
+  }
+
+  // ---------- GRID REGULARIZATION ----------
+  // Click jitter is enough to trip (or hide) the 1 BPM rule, so optionally the beat times are
+  // fitted with segments instead: steady tempo (beat time a straight line in beat number) or
+  // a ramp (a parabola: the beat length changing steadily). A segment grows while every beat
+  // stays within the tolerance of its fit, and the next one starts on its last beat.
+  const RAMP_MIN_GAIN = 4; // beats a ramp must cover beyond the steady fit to be preferred
+
+  // Least-squares fit of beat times from..to with a polynomial in beat number
+  // (degree 1 = steady, 2 = ramp) → {from, to, degree, timeAt(i), maxResidual}, or null
+  function fitBeatTimes(times, from, to, degree) {
+    const m = degree + 1;
+    const span = Math.max(1, to - from);
+    const t0 = times[from];
+
+    // normal equations on x = 0..1 across the segment (keeps the powers well scaled)
+    const sums = new Float64Array(2 * m - 1);
+    const rhs = new Float64Array(m);
+    for (let i = from; i <= to; i++) {
+      const x = (i - from) / span;
+      const t = times[i] - t0;
+      let xp = 1;
+      for (let k = 0; k < sums.length; k++) {
+        sums[k] += xp;
+        if (k < m) rhs[k] += xp * t;
+        xp *= x;
+      }
+    }
+    const a = Array.from({ length: m }, (_, j) => [...Array.from({ length: m }, (_, k) => sums[j + k]), rhs[j]]);
+    for (let col = 0; col < m; col++) {
+      let piv = col;
+      for (let r = col + 1; r < m; r++) if (Math.abs(a[r][col]) > Math.abs(a[piv][col])) piv = r;
+      [a[col], a[piv]] = [a[piv], a[col]];
+      if (Math.abs(a[col][col]) < 1e-12) return null;
+      for (let r = 0; r < m; r++) {
+        if (r === col) continue;
+        const f = a[r][col] / a[col][col];
+        for (let k = col; k <= m; k++) a[r][k] -= f * a[col][k];
+      }
+    }
+    const coef = a.map((row, j) => row[m] / row[j]);
+
+    const timeAt = (i) => {
+      const x = (i - from) / span;
+      let v = 0, xp = 1;
+      for (const c of coef) { v += c * xp; xp *= x; }
+      return t0 + v;
+    };
+    let maxResidual = 0;
+    for (let i = from; i <= to; i++) maxResidual = Math.max(maxResidual, Math.abs(times[i] - timeAt(i)));
+    return { from, to, degree, timeAt, maxResidual };
+  }
+
+  // Longest fit of the given degree starting at `from` that stays within tol seconds.
+  // Gallops then bisects on the end beat: fits only get worse as a segment grows (near enough).
+  function longestFit(times, from, degree, tol, last = times.length - 1) {
+    const fits = (to) => {
+      const f = fitBeatTimes(times, from, to, degree);
+      return (f && f.maxResidual <= tol) ? f : null;
+    };
+
+    let best = fits(Math.min(last, from + degree)); // degree + 1 beats always fit
+    if (!best) return null;
+    let lo = best.to, hi = -1, step = 1;
+    while (lo < last) {
+      const f = fits(Math.min(last, lo + step));
+      if (!f) { hi = Math.min(last, lo + step); break; }
+      best = f;
+      lo = f.to;
+      step *= 2;
+    }
+    while (hi - lo > 1) {
+      const mid = (lo + hi) >> 1;
+      const f = fits(mid);
+      if (f) { best = f; lo = mid; } else { hi = mid; }
+    }
+    return best;
+  }
+
+  // Segments never span a break (areaBreaks); a lone beat between two gets a stub with no tempo
+  function fitTempoSegments(times, tol, breaks = null) {
+    const segments = [];
+    for (const [start, end] of breakRuns(times.length, breaks)) {
+      const last = end - 1;
+      if (last === start) {
+        segments.push({ from: start, to: start, degree: 1, timeAt: () => times[start], maxResidual: 0 });
+        continue;
+      }
+      let from = start;
+      while (from < last) {
+        const steady = longestFit(times, from, 1, tol, last);
+        const ramp = (last - from >= 2) ? longestFit(times, from, 2, tol, last) : null;
+        // a ramp only when it clearly explains more beats than a steady tempo does
+        const seg = (ramp && ramp.to - steady.to >= RAMP_MIN_GAIN) ? ramp : steady;
+        segments.push(seg);
+        from = seg.to;
+      }
+    }
+    return segments;
+  }
+
+  // computeTempoOutputs from fitted segments. Tempo changes are written where a segment starts
+  // (unless it rounds to the tempo already running) and along ramps wherever the rounded
+  // tempo moves; never inside a steady segment. Each beat gets its fitted time and residual.
+  function fittedTempoOutputs(beats, tol, breaks = null) {
+    const times = beats.map(b => b.time);
+    const segments = fitTempoSegments(times, tol, breaks);
+
+    // segment of each interval i → i+1; a boundary beat starts the next segment. The last beat
+    // before a break keeps its segment, whose tempo carries across the break.
+    const segOf = new Int32Array(beats.length);
+    segments.forEach((seg, k) => { for (let i = seg.from; i <= seg.to; i++) segOf[i] = k; });
+
+    const fitTempo = (i) => {
+      const seg = segments[segOf[i]];
+      const dt = seg.timeAt(i + 1) - seg.timeAt(i);
+      return dt > 0 ? 60 / dt : 0;
+    };
+    const rawTempos = beats.map((b, i) => {
+      const dt = i < beats.length - 1 ? beats[i + 1].time - b.time : 0;
+      return dt > 0 ? 60 / dt : 0;
+    });
+
+    let running = 0; // last tempo written, as output
+    let carried = 0; // last fitted tempo, for a lone beat between breaks
+    return beats.map((b, i) => {
+      const isLast = (i === beats.length - 1);
+      const seg = segments[segOf[i]];
+      const tempo = isLast ? 0 : (fitTempo(i) || carried);
+      if (tempo) carried = tempo;
+      const tempoOut = tempo ? Number(fmt1(tempo)) : 0;
+
+      let beatTableTempo = 0;
+      if (!isLast && (i === seg.from || seg.degree === 2) && tempoOut !== running) {
+        beatTableTempo = tempoOut;
+        running = tempoOut;
+      }
+
+      const fitTime = seg.timeAt(i);
+      return {
+        ...b,
+        bpm: tempoOut,
+        tempoOut: beatTableTempo,
+        beatTableTempo,
+        tempoRaw: breaks && breaks[i + 1] ? tempo : rawTempos[i], // (no interval across a break)
+        tempoSmooth: tempo, // the tempo curve's smooth line becomes the fit
+        fitTime,
+        fitResidual: b.time - fitTime, // seconds, + = late against the fit
+        fitSegment: segOf[i],
+        fitRamp: seg.degree === 2
+      };
+    });
+  }
+
+  function fitSummary(beats) {
+    const fitted = beats.filter(b => b.fitResidual != null);
+    if (!fitted.length) return null;
+    let max = 0, sq = 0;
+    const segs = new Set();
+    const ramps = new Set();
+    for (const b of fitted) {
+      max = Math.max(max, Math.abs(b.fitResidual));
+      sq += b.fitResidual * b.fitResidual;
+      segs.add(b.fitSegment);
+      if (b.fitRamp) ramps.add(b.fitSegment);
+    }
+    return { segments: segs.size, ramps: ramps.size, maxMs: max * 1000, rmsMs: Math.sqrt(sq / fitted.length) * 1000 };
+  }
+
+  // ---------- DOWNBEAT CLASSIFIERS ----------
+  // Preliminary downbeats for the bar-grid refinement, from one of:
+  //   "pitch"  - click tones clustered by centroid; the most common tone is the other beats and
+  //              every other tone is a downbeat (3 tones: bar 1 of a section, downbeat, others)
+  //   "volume" - click levels in two clusters; the louder one is the downbeat
+  //   "meter"  - a downbeat every `meter` beats from a chosen first downbeat
+  // Each beat gets a downbeatConfidence 0..1: how much nearer it is to its own kind of cluster
+  // than to the other kind (always 1 for "meter").
+  const EQUAL_TONES = 0.15; // tone counts this close (2/4) can't tell downbeats by rarity
+
+  function clusterConfidence(v, centers, isDown) {
+    let own = Infinity, other = Infinity;
+    centers.forEach((c, j) => {
+      const d = Math.abs(v - c);
+      if (isDown(j)) own = Math.min(own, d); else other = Math.min(other, d);
+    });
+    return (own + other) > 0 && isFinite(other) ? clamp((other - own) / (other + own), 0, 1) : 0;
+  }
+
+  // events: [{time, centroid, level}] → {beats: events + downbeat/downbeatConfidence, note}
+  function classifyDownbeats(events, classifier = DEFAULT_CLASSIFIER) {
+    const sorted = events.slice().sort((a, b) => a.time - b.time);
+    if (!sorted.length) return { beats: [], note: "" };
+
+    if (classifier.mode === "meter") {
+      const meter = clamp(Math.round(classifier.meter) || 4, 1, 12);
+      let first = 0;
+      if (classifier.firstDownbeat != null) {
+        const t = classifier.firstDownbeat;
+        first = lowerBoundBeat(sorted, t);
+        if (first > 0 && (first === sorted.length || t - sorted[first - 1].time < sorted[first].time - t)) first--;
+      }
+      const beats = sorted.map((e, i) => ({
+        ...e,
+        downbeat: (((i - first) % meter) + meter) % meter === 0 ? 1 : 0,
+        downbeatConfidence: 1
+      }));
+      return { beats, note: `every ${meter} beats from ${fmt3(sorted[first].time)}s` };
+    }
+
+    if (classifier.mode === "volume") {
+      const levels = sorted.map(e => e.level ?? -120);
+      const { centers, assign } = kmeans(levels, 2);
+      const louder = (j) => j === 1;
+      const beats = sorted.map((e, i) => ({
+        ...e,
+        downbeat: louder(assign[i]) ? 1 : 0,
+        downbeatConfidence: clusterConfidence(levels[i], centers, louder)
+      }));
+      return { beats, note: `accents ${fmt1(centers[1])} dB vs ${fmt1(centers[0])} dB` };
+    }
+
+    // pitch: the most common tone is the other beats
+    const tones = clamp(Math.round(classifier.tones) || 2, 2, 4);
+    const centroids = sorted.map(e => e.centroid);
+    const { centers, assign } = kmeans(centroids, tones);
+    const counts = centers.map((_, j) => assign.filter(a => a === j).length);
+    let others = counts.indexOf(Math.max(...counts));
+    let note = `${tones} tones at ${centers.map(c => Math.round(c)).join(" / ")} Hz`;
+    if (tones === 2 && Math.abs(counts[0] - counts[1]) <= EQUAL_TONES * Math.max(counts[0], counts[1])) {
+      // as many downbeats as other beats (2/4): take the higher tone as the accent
+      others = 0;
+      note += ", equal counts: higher tone taken as the downbeat";
+    }
+    const isDown = (j) => j !== others;
+    const beats = sorted.map((e, i) => ({
+      ...e,
+      downbeat: isDown(assign[i]) ? 1 : 0,
+      downbeatConfidence: clusterConfidence(centroids[i], centers, isDown)
+    }));
+    return { beats, note };
+  }
+
+  // ---------- TIMECODE ----------
+  // nominal = frames per timecode second (the labels), fps = real frames per second
+  const TC_RATES = {
+    "23.976": { label: "23.976", nominal: 24, fps: 24000 / 1001, drop: false },
+    "24": { label: "24", nominal: 24, fps: 24, drop: false },
+    "25": { label: "25", nominal: 25, fps: 25, drop: false },
+    "29.97df": { label: "29.97 DF", nominal: 30, fps: 30000 / 1001, drop: true },
+    "29.97": { label: "29.97 NDF", nominal: 30, fps: 30000 / 1001, drop: false },
+    "30": { label: "30", nominal: 30, fps: 30, drop: false }
+  };
+  const framesPerDay = (rate) => rate.drop ? 2589408 : 86400 * rate.nominal;
+
+  // "hh:mm:ss:ff" (";" or "." before the frames also accepted) → frame count, or null if invalid
+  function parseTimecode(text, rate) {
+    const m = /^\s*(\d{1,2})[:.](\d{2})[:.](\d{2})[:;.](\d{2})\s*$/.exec(text || "");
+    if (!m) return null;
+    const [hh, mm, ss, ff] = m.slice(1).map(Number);
+    if (hh > 23 || mm > 59 || ss > 59 || ff >= rate.nominal) return null;
+    if (!rate.drop) return ((hh * 60 + mm) * 60 + ss) * rate.nominal + ff;
+
+    // drop-frame: labels ;00 and ;01 are skipped at the start of every minute except each 10th
+    if (ss === 0 && ff < 2 && mm % 10 !== 0) return null;
+    const totalMinutes = hh * 60 + mm;
+    return ((hh * 60 + mm) * 60 + ss) * 30 + ff - 2 * (totalMinutes - Math.floor(totalMinutes / 10));
+  }
+
+  function framesToTimecode(frames, rate) {
+    let f = ((Math.floor(frames) % framesPerDay(rate)) + framesPerDay(rate)) % framesPerDay(rate);
+    if (rate.drop) {
+      const tens = Math.floor(f / 17982), rem = f % 17982;
+      f += 18 * tens + (rem < 2 ? 0 : 2 * Math.floor((rem - 2) / 1798));
+    }
+    const n = rate.nominal;
+    const pad = (v) => String(v).padStart(2, "0");
+    const ff = f % n;
+    const secs = Math.floor(f / n);
+    return `${pad(Math.floor(secs / 3600))}:${pad(Math.floor(secs / 60) % 60)}:${pad(secs % 60)}${rate.drop ? ";" : ":"}${pad(ff)}`;
+  }
+
+  function timecodeRate(tc = DEFAULT_TIMECODE) {
+    return TC_RATES[tc.rate] || TC_RATES["30"];
+  }
+
+  // Song start in real seconds on the show clock (29.97/23.976 frames run slow of their labels)
+  function timecodeOffsetSeconds(tc = DEFAULT_TIMECODE) {
+    const rate = timecodeRate(tc);
+    const frames = parseTimecode(tc.start, rate);
+    return frames ? frames / rate.fps : 0;
+  }
+
+  // The other way round: a song start in seconds (a plugin file's timecodeOffset) → timecode
+  // setting at tc's rate
+  function timecodeFromOffset(seconds, tc = DEFAULT_TIMECODE) {
+    const rate = timecodeRate(tc);
+    return { start: framesToTimecode(Math.round((seconds || 0) * rate.fps), rate), rate: tc.rate };
+  }
+
+  function timecodeNote(tc = DEFAULT_TIMECODE) {
+    return `song starts at ${tc.start} @ ${timecodeRate(tc).label} fps`;
+  }
+
+  // Absolute show timecode of a time in the audio file
+  function timecodeAt(time, tc = DEFAULT_TIMECODE) {
+    const rate = timecodeRate(tc);
+    return framesToTimecode((timecodeOffsetSeconds(tc) + time) * rate.fps + 1e-6, rate);
+  }
+
+  // ---------- MA3 LUA/XML ----------
+  function formatSecondsFromSeconds(sec) {
+
+    const s = Number(sec).toFixed(3);
+    const trimmed = s.replace(/\.?0+$/, "");
+    if (trimmed === "") return "0";
+    return trimmed.startsWith("0.") ? trimmed.slice(1) : trimmed;
+  }
+
+  // Lua string literal (marker names come from user templates)
+  function luaQuote(str) {
+    return `"${String(str).replace(/\\/g, "\\\\").replace(/"/g, '\\"').replace(/[\r\n]+/g, " ")}"`;
+  }
+
+  // Names the plugin puts into MA3 commands (Store Appearance "..", GetObject('Appearance ".."')).
+  // A quote or semicolon there would end the name or start another command, so they go.
+  function maName(str, fallback) {
+    const name = String(str == null ? "" : str).replace(/["';]/g, "").replace(/\s+/g, " ").trim();
+    return name || fallback;
+  }
+
+  // "#rrggbb" → MA3's "r,g,b,a" in 0..1
+  function hexToMaColor(hex) {
+    const m = /^#?([0-9a-f]{6})$/i.exec(hex || "");
+    const v = m ? parseInt(m[1], 16) : 0;
+    const c = (shift) => Number((((v >> shift) & 0xff) / 255).toFixed(2));
+    return `${c(16)},${c(8)},${c(0)},1`;
+  }
+
+  // MA3's "r,g,b,a" → "#rrggbb" (alpha dropped)
+  function maColorToHex(color) {
+    const parts = String(color || "").split(",").map(Number);
+    const c = (v) => Math.round(clamp(Number.isFinite(v) ? v : 0, 0, 1) * 255).toString(16).padStart(2, "0");
+    return `#${c(parts[0])}${c(parts[1])}${c(parts[2])}`;
+  }
+
+  // Fill a marker name template ({tc} on the song's timecode setting). Unknown tokens are left as typed.
+  function markerName(template, beat, tempo, tc = DEFAULT_TIMECODE) {
+    const tokens = {
+      tempo: tempo ? String(tempo) : "",
+      bpm: beat.bpm ? fmt1(beat.bpm) : "",
+      bar: beat.bar != null ? String(beat.bar) : "",
+      beat: beat.beatInBar != null ? String(beat.beatInBar) : "",
+      meter: beat.meter ? `${beat.meter}/4` : "",
+      section: beat.section || "",
+      tc: timecodeAt(beat.time, tc)
+    };
+    return String(template || "")
+      .replace(/\{(\w+)\}/g, (all, key) => (key in tokens ? tokens[key] : all))
+      .replace(/\s+/g, " ")
+      .trim();
+  }
+
+  // One beatTable row per beat: {tempo, duration, name}. The preview list and the plugin
+  // both come from here, so the list shows exactly what the console will get.
+  // opts: beatsPerBar (bar markers on beats without a meter), timecode (the {tc} setting)
+  function beatTableRows(beats, style = DEFAULT_MARKER_STYLE, opts = {}) {
+    const { beatsPerBar = 4, timecode = DEFAULT_TIMECODE } = opts;
+    const n = beats.length;
+    const beatLen = (i) => {
+      if (n < 2) return 0.5; // arbitrary safe default
+      return i < n - 1 ? beats[i + 1].time - beats[i].time : beats[i].time - beats[i - 1].time;
+    };
+    const nextDown = new Int32Array(n).fill(-1);
+    for (let i = n - 2; i >= 0; i--) nextDown[i] = beats[i + 1].downbeat ? i + 1 : nextDown[i + 1];
+
+    return beats.map((b, i) => {
+      // tempoOut: either 0 OR 1-decimal number
+      const tempo = b.beatTableTempo ? Number(fmt1(b.beatTableTempo)) : 0;
+      let duration;
+      if (style.duration === "fixed") {
+        duration = style.durationValue;
+      } else if (style.duration === "bar" && b.downbeat) {
+        duration = nextDown[i] >= 0 ? beats[nextDown[i]].time - b.time : beatLen(i) * (b.meter || beatsPerBar);
+      } else {
+        duration = beatLen(i) * style.durationValue;
+      }
+      const name = markerName(b.downbeat ? style.downName : style.otherName, b, tempo, timecode);
+      return { tempo, duration: Math.max(0.001, duration), name };
+    });
+  }
+
+  // One song's entry in the plugin's songs table. song: {name, beats, timecode (the number
+  // "Map All" uses), timecodeOffset (seconds; the plugin adds it when placing markers, so the
+  // beatTable still matches the preview list), timecodeNote, sections, and for marker names
+  // beatsPerBar and timecodeSetting ({start, rate})}
+  function luaSongEntry(song, markerStyle, sectionExport) {
+    const beats = song.beats;
+    const rows = beatTableRows(beats, markerStyle, { beatsPerBar: song.beatsPerBar, timecode: song.timecodeSetting });
+    const entries = [];
+    for (let i = 0; i < beats.length; i++) {
+      const b = beats[i];
+      const r = rows[i];
+      const secStr = formatSecondsFromSeconds(b.time);
+      const durStr = formatSecondsFromSeconds(r.duration);
+
+      entries.push(`            {${secStr},${b.downbeat ? 1 : 0},${r.tempo},${durStr},${luaQuote(r.name)}}${i < beats.length - 1 ? "," : ""}`);
+    }
+
+    const sectionRows = (sectionExport.mode === "none" ? [] : (song.sections || [])).map(sec =>
+      `            {${formatSecondsFromSeconds(sec.start)},${formatSecondsFromSeconds(sec.end - sec.start)},${luaQuote(maName(sec.name, "Section"))},"${hexToMaColor(sec.color)}"}`);
+
+    const offsetStr = Number((song.timecodeOffset || 0).toFixed(6)).toString();
+    return `    {\r\n` +
+      `        name = ${luaQuote(maName(song.name, "Song"))},\r\n` +
+      `        timecode = ${Math.max(1, Math.round(song.timecode) || 1)},\r\n` +
+      `        timecodeOffset = ${offsetStr},${song.timecodeNote ? ` -- ${song.timecodeNote}` : ""}\r\n` +
+      `        beatTable = {\r\n${entries.join("\r\n")}\r\n        },\r\n` +
+      `        sectionTable = {\r\n${sectionRows.join(",\r\n")}${sectionRows.length ? "\r\n" : ""}        }\r\n` +
+      `    }`;
+  }
+
+  // songs: see luaSongEntry. One song gives the classic dialog; several add a song picker
+  // and "Map All" (every song onto its own timecode number).
+  function buildLuaFromSongs(songs, pluginName, opts = {}) {
+    const { markerStyle = DEFAULT_MARKER_STYLE, sectionExport = { mode: "none", trackGroup: 2 } } = opts;
+    const empty = songs.find(song => !song.beats || !song.beats.length);
+    if (empty) throw new Error(`"${empty.name || "Song"}" has no beats to export`);
+
+    // Use \r\n for all line endings in the Lua script
+    const firstLine = `local filename = ${luaQuote(pluginName || "click-track")}\r\n` +
+      `local downbeatAppearance = ${luaQuote(maName(markerStyle.downAppearance, DEFAULT_MARKER_STYLE.downAppearance))}\r\n` +
+      `local downbeatColor = "${hexToMaColor(markerStyle.downColor)}"\r\n` +
+      `local otherAppearance = ${luaQuote(maName(markerStyle.otherAppearance, DEFAULT_MARKER_STYLE.otherAppearance))}\r\n` +
+      `local otherColor = "${hexToMaColor(markerStyle.otherColor)}"\r\n` +
+      `local sectionMode = "${sectionExport.mode}"\r\n` +
+      `local sectionTrackGroup = ${Math.max(1, Math.round(sectionExport.trackGroup) || 1)}\r\n\r\n`;
+    const comment =
+      `--songs: name, the timecode number Map All uses, and where the audio starts on that timecode in seconds\r\n` +
+      `--beatTable is beat in seconds, 1 or 0 if the beat is a down beat or not, the tempo if the tempo has changed on that beat (otherwise zero), the marker duration in seconds and the marker name ("" for none)\r\n` +
+      `--sectionTable is start in seconds, duration in seconds, name and color\r\n`;
+    const start = `local songs = {\r\n`;
+    const entries = songs.map(song => luaSongEntry(song, markerStyle, sectionExport));
+    const endTable = `\r\n}\r\n\r\n`;
+
+    // Lua tail: keep identical structure/content to the MIDI app
+    const luaTail =
+`local beatTable, sectionTable, timecodeOffset, firstBeatSeconds, lastBeatSeconds\r\n\r\n--point the grid functions at one song of the songs table \r\nlocal function SelectSong(i)\r\n    beatTable = songs[i].beatTable\r\n    sectionTable = songs[i].sectionTable\r\n    timecodeOffset = songs[i].timecodeOffset\r\n    if #beatTable == 0 then\r\n        firstBeatSeconds, lastBeatSeconds = 0, 0\r\n        return\r\n    end\r\n    firstBeatSeconds = beatTable[1][1]\r\n    lastBeatSeconds = beatTable[#beatTable][1]\r\nend\r\nSelectSong(1)\r\n\r\nlocal function CreateAppearance(name,color)\r\n    for i = 1, 9999 do\r\n        if not IsObjectValid(GetObject('Appearance '..i)) then\r\n            Cmd('Store Appearance '..i..' \"'..name..'\"')\r\n            Cmd('Set Appearance '..i..' \"Color\" \"'..color..'\"')\r\n            return\r\n        end\r\n    end\r\nend\r\n\r\nlocal function CreateBeatAppearances()\r\n    if not GetObject('Appearance \"'..downbeatAppearance..'\"') then\r\n        CreateAppearance(downbeatAppearance, downbeatColor)\r\n    end\r\n    if not GetObject('Appearance \"'..otherAppearance..'\"') then\r\n        CreateAppearance(otherAppearance, otherColor)\r\n    end\r\nend\r\n\r\nlocal function DeleteGridRange(songNum,trackGroup)\r\n    local startRaw = (firstBeatSeconds + timecodeOffset) * 16777216\r\n    local endRaw = (lastBeatSeconds + timecodeOffset) * 16777216\r\n    local deletionIndexList = {}\r\n    local markerList = ObjectList('Timecode '..songNum..'.'..trackGroup..'.0.1 Thru')\r\n    if #markerList == 0 then return end --early exit if no markers \r\n    -- find all markers in between start and end \r\n    for _, marker in ipairs(markerList) do\r\n        if marker.rawstart < endRaw and marker.rawstart >= startRaw then\r\n            table.insert(deletionIndexList, marker.index)\r\n        end\r\n    end\r\n    if #deletionIndexList == 0 then return end --early exit if no markers \r\n    --delete those markers \r\n    Cmd('CD Timecode '..songNum..'.'..trackGroup..'.0')\r\n    Cmd('Delete '..table.concat(deletionIndexList, \" + \"))\r\n    Cmd('CD Root')\r\nend\r\n\r\nlocal function CreateSectionMarkers(timecodeNum,trackGroup,clearFirst)\r\n    if #sectionTable == 0 then return end\r\n    if not IsObjectValid(GetObject('Timecode '..timecodeNum..'.'..trackGroup)) then\r\n        return Confirm(\"Section Track Group Doesn't Exist\",\"Skipping section markers\",nil,false)\r\n    end\r\n    if clearFirst then\r\n        DeleteGridRange(timecodeNum,trackGroup)\r\n    end\r\n    --one appearance per section name, colored like the UI \r\n    for i = 1, #sectionTable do\r\n        local appName = 'BeatGridSection '..sectionTable[i][3]\r\n        if not GetObject('Appearance \"'..appName..'\"') then\r\n            CreateAppearance(appName, sectionTable[i][4])\r\n        end\r\n    end\r\n    Cmd('CD Timecode '..timecodeNum..'.'..trackGroup..'.0') --Marker layer \r\n    local tcTrack = GetObject('Timecode '..timecodeNum..'.'..trackGroup..'.0')\r\n    for i = 1, #sectionTable do\r\n        Cmd('Insert')\r\n        local allMarkers = tcTrack:Children()\r\n        local newMarker = allMarkers[#allMarkers]\r\n        newMarker.rawstart = (sectionTable[i][1] + timecodeOffset) * 16777216\r\n        newMarker.duration = sectionTable[i][2]\r\n        newMarker.name = sectionTable[i][3]\r\n        newMarker.appearance = GetObject('Appearance \"BeatGridSection '..sectionTable[i][3]..'\"')\r\n    end\r\n    Cmd('CD Root')\r\nend\r\n\r\n\r\nlocal function CreateBeatGrid(timecodeNum,trackGroup)\r\n    if #beatTable == 0 then return end --nothing to place \r\n    --clear out markers from current timecode track \r\n    DeleteGridRange(timecodeNum,trackGroup)\r\n    local beatOneAppearance = GetObject('Appearance \"'..downbeatAppearance..'\"')\r\n    local beatOtherAppearance = GetObject('Appearance \"'..otherAppearance..'\"')\r\n    --check for beat appearances and make them if they don't exist yet \r\n    if not (beatOneAppearance and beatOtherAppearance) then\r\n        CreateBeatAppearances()\r\n        beatOneAppearance = GetObject('Appearance \"'..downbeatAppearance..'\"')\r\n        beatOtherAppearance = GetObject('Appearance \"'..otherAppearance..'\"')\r\n    end\r\n    --create markers \r\n    Cmd('CD Timecode '..timecodeNum..'.'..trackGroup..'.0') --Marker layer \r\n    local progressBarHandle = StartProgress('Creating Beat Grid')\r\n    SetProgressRange(progressBarHandle,1,#beatTable)\r\n    local tcTrack = GetObject('Timecode '..timecodeNum..'.'..trackGroup..'.0')\r\n    for i = 1, #beatTable do\r\n        Cmd('Insert') -- creates new marker at bottom of children list \r\n        local allMarkers = tcTrack:Children()\r\n        local newMarker = allMarkers[#allMarkers] -- 16777216 is 2^24. You'll find that most things under the hood of MA are 24-bit raw. \r\n        newMarker.rawstart = (beatTable[i][1] + timecodeOffset) * 16777216\r\n        newMarker.duration = beatTable[i][4]\r\n        newMarker.appearance = beatTable[i][2] == 1 and beatOneAppearance or beatOtherAppearance\r\n        if beatTable[i][5] ~= \"\" then\r\n            newMarker.name = beatTable[i][5]\r\n        end\r\n        IncProgress(progressBarHandle,1)\r\n    end\r\n    Cmd('CD Root')\r\n    StopProgress(progressBarHandle)\r\n    --song sections: on their own track group, or in with the beats \r\n    if sectionMode == \"mixed\" then\r\n        CreateSectionMarkers(timecodeNum,trackGroup,false)\r\n    elseif sectionMode == \"separate\" then\r\n        CreateSectionMarkers(timecodeNum,sectionTrackGroup,true)\r\n    end\r\nend\r\n\r\nfunction DeleteAllMarkers(songNum,trackGroup)\r\n    Cmd('CD Timecode '..songNum..'.'..trackGroup..'.0')\r\n    Cmd('Delete 1 Thru')\r\n    Cmd('CD Root')\r\nend\r\n\r\nlocal function SongListText()\r\n    local lines = {}\r\n    for i, song in ipairs(songs) do\r\n        table.insert(lines, i..' = '..song.name..' (Map All: Timecode '..song.timecode..')')\r\n    end\r\n    return table.concat(lines, \"\\\\r\\\\n\")\r\nend\r\n\r\nlocal function MapAllSongs(trackGroup)\r\n    local missing = {}\r\n    for i, song in ipairs(songs) do\r\n        if IsObjectValid(GetObject('Timecode '..song.timecode..'.'..trackGroup)) then\r\n            SelectSong(i)\r\n            CreateBeatGrid(song.timecode,trackGroup)\r\n        else\r\n            table.insert(missing, song.name..' (Timecode '..song.timecode..')')\r\n        end\r\n    end\r\n    if #missing > 0 then\r\n        Confirm(\"Some Songs Were Skipped\",\"Timecode or Track Group doesn't exist for: \"..table.concat(missing, ', '),nil,false)\r\n    end\r\nend\r\n\r\nlocal function UiBeatGrid()\r\n    local selectedTC = SelectedTimecode()\r\n    local selectedIndex = selectedTC and selectedTC.index or 1\r\n    local multiSong = #songs > 1\r\n    local defaultCommandButtons = {\r\n        {value = 3, name = \"Cancel\"},\r\n        {value = 2, name = \"OK\"},\r\n        {value = 1, name = \"Clear Grid\"}\r\n    }\r\n    local inputFields = {\r\n        {order = 1, name = \"Timecode Number?\", value = selectedIndex, whiteFilter = \"0123456789\", vkPlugin = \"NumericInput\"},\r\n        {order = 2, name = \"Track Group?\", value = \"1\", whiteFilter = \"0123456789\", vkPlugin = \"NumericInput\"}\r\n    }\r\n    local message = \"This will apply the tempo map from file: \" .. filename\r\n    if multiSong then\r\n        --setlist: pick a song for the timecode number above, or map every song to its own timecode \r\n        table.insert(defaultCommandButtons, {value = 4, name = \"Map All\"})\r\n        table.insert(inputFields, 1, {order = 0, name = \"Song?\", value = \"1\", whiteFilter = \"0123456789\", vkPlugin = \"NumericInput\"})\r\n        message = \"Setlist: \" .. filename .. \"\\\\r\\\\n\" .. SongListText() .. \"\\\\r\\\\nOK applies the chosen song to the timecode number, Map All applies every song to its own timecode\"\r\n    end\r\n    local messageTable = {\r\n        icon = \"object_smart\",\r\n        backColor = \"Window.Plugins\",\r\n        title = \"Tempo Map Importer\",\r\n        message = message .. \"\\\\r\\\\nAppearances will be found as '\" .. downbeatAppearance .. \"' and '\" .. otherAppearance .. \"'\",\r\n        commands = defaultCommandButtons,\r\n        inputs = inputFields\r\n    }\r\n    local returnTable = MessageBox(messageTable)\r\n    local inputLocation = tonumber(returnTable.inputs[\"Timecode Number?\"])\r\n    local inputTrackGroup = tonumber(returnTable.inputs[\"Track Group?\"]) or 1\r\n    if returnTable.result == 3 then\r\n        --Canceled\r\n        return -- Canceled\r\n    end\r\n    if returnTable.result == 4 then\r\n        return MapAllSongs(inputTrackGroup)\r\n    end\r\n    if multiSong then\r\n        local songIndex = tonumber(returnTable.inputs[\"Song?\"]) or 1\r\n        if not songs[songIndex] then\r\n            return Confirm(\"Song Doesn't Exist\",\"Canceling\",nil,false)\r\n        end\r\n        SelectSong(songIndex)\r\n    end\r\n    if returnTable.result == 2 then\r\n        if not IsObjectValid(GetObject('Timecode '..inputLocation..'.'..inputTrackGroup)) then\r\n            return Confirm(\"Timecode or Track Group Doesn't Exist\",\"Canceling\",nil,false) \r\n        end\r\n        return CreateBeatGrid(inputLocation,inputTrackGroup)\r\n    end\r\n    if returnTable.result == 1 then\r\n        if Confirm(\"Confirm Deletion\", \"Delete all markers in this track?\", nil, true) then\r\n            return DeleteAllMarkers(inputLocation,inputTrackGroup)\r\n        else return\r\n        end\r\n    end\r\nend\r\n\r\n-- Define what happens when a user presses on the Lua Plugin within MA3 \r\nreturn UiBeatGrid\r\n`;
+
+    return firstLine + comment + start + entries.join(",\r\n") + endTable + luaTail;
+  }
+
+  // One song. opts: timecode ({start, rate} of the song start), beatsPerBar, sections, and
+  // markerStyle/sectionExport as for buildLuaFromSongs
+  function buildLuaFromClickBeats(beats, baseFilename, opts = {}) {
+    const { timecode = DEFAULT_TIMECODE, beatsPerBar = 4, sections = [] } = opts;
+    const song = {
+      name: baseFilename || "click-track",
+      beats,
+      timecode: 1,
+      timecodeOffset: timecodeOffsetSeconds(timecode),
+      timecodeNote: timecodeNote(timecode),
+      timecodeSetting: timecode,
+      beatsPerBar,
+      sections
+    };
+    return buildLuaFromSongs([song], baseFilename, opts);
+  }
+
+  // Keep CRLF normalization + UTF-8 safe base64 blocks
+  function splitLuaIntoBase64Blocks(luaString, chunkChars = 1024) {
+    const blocks = [];
+    for (let i = 0; i < luaString.length; i += chunkChars) {
+      const chunk = luaString.slice(i, i + chunkChars);
+      const utf8Bytes = new TextEncoder().encode(chunk);
+      let binary = "";
+      for (let j = 0; j < utf8Bytes.length; j++) binary += String.fromCharCode(utf8Bytes[j]);
+      blocks.push(btoa(binary));
+    }
+    return blocks;
+  }
+
+  const xmlAttr = (str) => String(str).replace(/&/g, "&amp;").replace(/"/g, "&quot;").replace(/</g, "&lt;").replace(/>/g, "&gt;");
+
+  // songNames: a setlist plugin is named for the setlist and lists its songs in a comment
+  function buildXmlWithLuaBase64(blocks, baseFilename, songNames = []) {
+    const totalSize = blocks.reduce((sum, block) => sum + block.length, 0);
+    const multiSong = songNames.length > 1;
+    const safeName = xmlAttr((baseFilename || "Untitled") + (multiSong ? ` Setlist Importer (${songNames.length} songs)` : " Beat Importer"));
+    const songComment = multiSong
+      ? `\n    <!-- Songs: ${songNames.map((n, i) => `${i + 1}. ${n}`).join(", ").replace(/--/g, "- -")} -->`
+      : "";
+
+    let fileContent = `            <FileContent Size="${totalSize}">\n`;
+    blocks.forEach(block => {
+      fileContent += `                <Block Base64="${block}"/>\n`;
+    });
+    fileContent += "            </FileContent>";
+
+    return `<?xml version="1.0" encoding="UTF-8"?>${songComment}
+    <GMA3 DataVersion="2.3.1.1">
+        <UserPlugin Name="${safeName}" Guid="E8 D2 CD 55 D4 92 10 02 8F EA DF B5 EA 2C DA 1F" Author="PJ Carruth" Version="0.0.0.0">
+            <ComponentLua Guid="E8 D2 CD 55 50 D7 10 02 25 FD 30 BF 10 7D 65 1E">
+    ${fileContent}
+            </ComponentLua>
+        </UserPlugin>
+    </GMA3>`;
+  }
+
+  // ---------- MA3 PLUGIN IMPORT ----------
+  // Reading a Beat Importer XML back: the <Block Base64> chunks joined and decoded to the Lua,
+  // and the beat (and section) tables parsed out of it. Every version of the exporter is
+  // understood: the first ones wrote `local beatTable = {{seconds, downbeat, tempo}, ...}`,
+  // later ones added marker durations and names, timecodeOffset and sectionTable, and setlist
+  // plugins hold several songs in `local songs = {{name = ..., beatTable = ...}, ...}`.
+
+  // Just enough Lua to read the tables the exporter writes: strings, numbers, booleans, nil
+  // and tables, with comments skipped. A table with name = value fields becomes an object,
+  // one without an array.
+  function luaValueReader(src) {
+    let i = 0;
+    const fail = (what) => {
+      throw new Error(`Plugin Lua: ${what} on line ${src.slice(0, i).split("\n").length}`);
+    };
+    const skip = () => {
+      for (;;) {
+        while (i < src.length && /\s/.test(src[i])) i++;
+        if (!src.startsWith("--", i)) return;
+        const nl = src.indexOf("\n", i);
+        i = nl < 0 ? src.length : nl + 1;
+      }
+    };
+
+    function string() {
+      const quote = src[i++];
+      let out = "";
+      while (i < src.length && src[i] !== quote) {
+        if (src[i] === "\n") break;
+        if (src[i] === "\\") {
+          const e = src[i + 1];
+          out += e === "n" ? "\n" : e === "r" ? "\r" : e === "t" ? "\t" : e;
+          i += 2;
+        } else {
+          out += src[i++];
+        }
+      }
+      if (src[i] !== quote) fail("unfinished string");
+      i++;
+      return out;
+    }
+
+    function table() {
+      i++;
+      const list = [];
+      const fields = {};
+      let named = false;
+      for (;;) {
+        skip();
+        if (i >= src.length) fail("unfinished table");
+        if (src[i] === "}") break;
+        const key = /^([A-Za-z_]\w*)\s*=(?!=)/.exec(src.slice(i, i + 64));
+        if (key) {
+          i += key[0].length;
+          fields[key[1]] = value();
+          named = true;
+        } else {
+          list.push(value());
+        }
+        skip();
+        if (src[i] === "," || src[i] === ";") i++;
+        else if (src[i] !== "}") fail("expected , or } in a table");
+      }
+      i++;
+      return named ? fields : list;
+    }
+
+    function value() {
+      skip();
+      const c = src[i];
+      if (c === "{") return table();
+      if (c === '"' || c === "'") return string();
+      const num = /^-?(?:\d+\.?\d*|\.\d+)(?:[eE][+-]?\d+)?/.exec(src.slice(i, i + 40));
+      if (num) {
+        i += num[0].length;
+        return Number(num[0]);
+      }
+      const word = /^(true|false|nil)\b/.exec(src.slice(i, i + 6));
+      if (word) {
+        i += word[0].length;
+        return word[1] === "true" ? true : word[1] === "false" ? false : null;
+      }
+      fail("expected a value");
+    }
+
+    return { at: (pos) => { i = pos; return value(); } };
+  }
+
+  // `local name = value` statements at the top of the script (function bodies are indented)
+  function luaTopLevelLocals(lua, names) {
+    const reader = luaValueReader(lua);
+    const out = {};
+    const re = /^local ([A-Za-z_]\w*) = /gm;
+    let m;
+    while ((m = re.exec(lua))) {
+      if (names.includes(m[1]) && !(m[1] in out)) out[m[1]] = reader.at(m.index + m[0].length);
+    }
+    return out;
+  }
+
+  // The plugin XML's Lua source, with the errors a wrong or damaged file should get
+  function luaFromPluginXml(xml) {
+    if (!/<GMA3[\s>]/.test(xml)) throw new Error("Not a grandMA3 XML file (no <GMA3> element)");
+    const blocks = [...xml.matchAll(/<Block\s+Base64="([^"]*)"/g)].map(m => m[1]);
+    if (!blocks.length) throw new Error("No Lua in this MA3 XML (no <Block Base64> chunks): not a Beat Importer plugin");
+
+    const size = /<FileContent\s+Size="(\d+)"/.exec(xml);
+    const total = blocks.reduce((sum, block) => sum + block.length, 0);
+    if (size && Number(size[1]) !== total) {
+      throw new Error(`The plugin's Lua is incomplete: FileContent Size is ${size[1]} but the blocks hold ${total} characters`);
+    }
+
+    const chunks = blocks.map((block, n) => {
+      let binary;
+      try {
+        binary = atob(block);
+      } catch (err) {
+        throw new Error(`The plugin's Lua is damaged: block ${n + 1} isn't valid base64`);
+      }
+      return Uint8Array.from(binary, ch => ch.charCodeAt(0));
+    });
+    const bytes = new Uint8Array(chunks.reduce((sum, c) => sum + c.length, 0));
+    let offset = 0;
+    for (const c of chunks) {
+      bytes.set(c, offset);
+      offset += c.length;
+    }
+    return new TextDecoder("utf-8").decode(bytes);
+  }
+
+  // Lua beatTable rows → [{time, centroid, downbeat}], chronological
+  function beatsFromLuaTable(rows, songName) {
+    if (!Array.isArray(rows)) throw new Error(`"${songName}" has no beatTable list`);
+    const beats = [];
+    rows.forEach((row, n) => {
+      const ok = Array.isArray(row) && Number.isFinite(row[0]) && row[0] >= 0 && (row[1] === 0 || row[1] === 1);
+      if (!ok) throw new Error(`"${songName}": beatTable row ${n + 1} isn't {seconds, 0/1 downbeat, tempo, ...}`);
+      beats.push({ time: row[0], centroid: 0, downbeat: row[1] });
+    });
+    if (!beats.length) throw new Error(`"${songName}" has an empty beatTable`);
+    beats.sort((a, b) => a.time - b.time);
+    return beats.filter((b, k) => k === 0 || b.time - beats[k - 1].time >= 0.001);
+  }
+
+  function sectionsFromLuaTable(rows) {
+    if (!Array.isArray(rows)) return [];
+    return rows
+      .filter(row => Array.isArray(row) && Number.isFinite(row[0]) && Number.isFinite(row[1]) && typeof row[2] === "string")
+      .map(row => ({ start: row[0], end: row[0] + row[1], name: row[2], color: maColorToHex(row[3]) }));
+  }
+
+  // Most common number of beats between downbeats
+  function commonBarLength(beats) {
+    const counts = new Map();
+    let last = -1;
+    beats.forEach((b, i) => {
+      if (!b.downbeat) return;
+      if (last >= 0) counts.set(i - last, (counts.get(i - last) || 0) + 1);
+      last = i;
+    });
+    let best = 4, most = 0;
+    for (const [len, count] of counts) {
+      if (count > most) { most = count; best = len; }
+    }
+    return best;
+  }
+
+  // XML text → {pluginName, songs: [{name, timecode (Map All number), timecodeOffset, beats,
+  // beatsPerBar, sections}]}. Throws with a readable message when the file doesn't fit.
+  function parseBeatImporterXml(xml) {
+    const lua = luaFromPluginXml(xml);
+    const locals = luaTopLevelLocals(lua, ["filename", "timecodeOffset", "beatTable", "sectionTable", "songs"]);
+    const pluginName = typeof locals.filename === "string" ? locals.filename : "";
+
+    let songs;
+    if (Array.isArray(locals.songs)) {
+      songs = locals.songs.map((song, n) => {
+        const name = typeof song.name === "string" && song.name ? song.name : `Song ${n + 1}`;
+        return {
+          name,
+          timecode: Number.isFinite(song.timecode) ? song.timecode : n + 1,
+          timecodeOffset: Number.isFinite(song.timecodeOffset) ? song.timecodeOffset : 0,
+          beats: beatsFromLuaTable(song.beatTable, name),
+          sections: sectionsFromLuaTable(song.sectionTable)
+        };
+      });
+      if (!songs.length) throw new Error("The plugin's songs table is empty");
+    } else if (locals.beatTable !== undefined) {
+      const name = pluginName || "click-track";
+      songs = [{
+        name,
+        timecode: 1,
+        timecodeOffset: Number.isFinite(locals.timecodeOffset) ? locals.timecodeOffset : 0,
+        beats: beatsFromLuaTable(locals.beatTable, name),
+        sections: sectionsFromLuaTable(locals.sectionTable)
+      }];
+    } else {
+      throw new Error("No beatTable in the plugin's Lua: this MA3 plugin wasn't made by the Beat Importer");
+    }
+
+    for (const song of songs) song.beatsPerBar = commonBarLength(song.beats);
+    return { pluginName, songs };
+  }
+
+  // ---------- MIDI TEMPO MAP ----------
+  // Type-1 SMF: track 0 carries tempo, time signatures and markers, track 1 a note per beat.
+  // One beat = one quarter note. "exact" writes a tempo on every beat so each beat lands on
+  // its detected time (to the microsecond); "changes" writes only the tempo changes the MA3
+  // beatTable announces, for tools that choke on dense tempo maps.
+  const MIDI_PPQ = 960;
+
+  function midiVarLen(value) {
+    const bytes = [value & 0x7f];
+    while ((value >>>= 7) > 0) bytes.unshift((value & 0x7f) | 0x80);
+    return bytes;
+  }
+
+  const midiU32 = (v) => [(v >>> 24) & 0xff, (v >>> 16) & 0xff, (v >>> 8) & 0xff, v & 0xff];
+  const midiMeta = (type, data) => [0xff, type, ...midiVarLen(data.length), ...data];
+  const midiTextMeta = (type, str) => midiMeta(type, Array.from(new TextEncoder().encode(str)));
+
+  // events: [{tick, bytes}] → "MTrk" chunk, delta-timed, with end of track
+  function midiTrackChunk(events) {
+    const data = [];
+    let last = 0;
+    for (const ev of events.slice().sort((a, b) => a.tick - b.tick)) {
+      for (const byte of midiVarLen(ev.tick - last)) data.push(byte);
+      for (const byte of ev.bytes) data.push(byte);
+      last = ev.tick;
+    }
+    data.push(0x00, 0xff, 0x2f, 0x00);
+    return [0x4d, 0x54, 0x72, 0x6b, ...midiU32(data.length), ...data];
+  }
+
+  function buildMidiTempoMap(beats, opts = {}) {
+    const { tempoMode = "exact", markers = true, notes = true, beatsPerBar = 4, name = "click-track" } = opts;
+    const n = beats.length;
+    const usPerQuarter = (sec) => clamp(Math.round(sec * 1e6), 1, 0xffffff);
+    const tempoBytes = (us) => midiMeta(0x51, [(us >> 16) & 0xff, (us >> 8) & 0xff, us & 0xff]);
+    const timeSigBytes = (num) => midiMeta(0x58, [num, 2, 24, 8]); // num/4
+    const interval = (i) => {
+      if (i < n - 1) return beats[i + 1].time - beats[i].time;
+      return n > 1 ? beats[n - 1].time - beats[n - 2].time : 0.5; // last beat keeps the previous tempo
+    };
+
+    // Lead-in: whole quarters from time 0 so the first downbeat lands on a bar line in the DAW.
+    // A song that starts right at 0 has no time for one: its pickup is a short first bar.
+    const firstDown = beats.findIndex(b => b.downbeat);
+    const pickup = Math.max(0, firstDown);
+    const firstMeter = (firstDown >= 0 && beats[firstDown].meter) || beatsPerBar;
+    const atZero = beats[0].time <= 0.0005;
+    const shortBar = atZero ? pickup % firstMeter : 0;
+    let lead = atZero ? 0 : (firstMeter - (pickup % firstMeter)) % firstMeter;
+    if (lead === 0 && !atZero) lead = firstMeter;
+    const beatTick = (i) => (lead + i) * MIDI_PPQ;
+
+    const conductor = [
+      { tick: 0, bytes: midiTextMeta(0x03, name) },
+      { tick: 0, bytes: timeSigBytes(shortBar || firstMeter) }
+    ];
+    if (shortBar) conductor.push({ tick: beatTick(shortBar), bytes: timeSigBytes(firstMeter) });
+    if (lead) conductor.push({ tick: 0, bytes: tempoBytes(usPerQuarter(beats[0].time / lead)) });
+
+    let lastUs = -1;
+    for (let i = 0; i < n; i++) {
+      let us = 0;
+      if (tempoMode === "changes") {
+        if (beats[i].beatTableTempo) us = usPerQuarter(60 / beats[i].beatTableTempo);
+      } else {
+        us = usPerQuarter(interval(i));
+      }
+      if (us && us !== lastUs) {
+        conductor.push({ tick: beatTick(i), bytes: tempoBytes(us) });
+        lastUs = us;
+      }
+    }
+
+    let meter = firstMeter;
+    for (let i = 0; i < n; i++) {
+      const b = beats[i];
+      if (!b.downbeat) continue;
+      if (b.meter && b.meter !== meter) {
+        meter = b.meter;
+        conductor.push({ tick: beatTick(i), bytes: timeSigBytes(meter) });
+      }
+      if (markers) conductor.push({ tick: beatTick(i), bytes: midiTextMeta(0x06, `Bar ${b.bar != null ? b.bar : i + 1}`) });
+    }
+
+    // Beat notes on the GM drum channel: hi wood block on downbeats, low wood block otherwise
+    const beatTrack = [{ tick: 0, bytes: midiTextMeta(0x03, "Beat grid") }];
+    if (notes) {
+      for (let i = 0; i < n; i++) {
+        const note = beats[i].downbeat ? 76 : 77;
+        beatTrack.push({ tick: beatTick(i), bytes: [0x99, note, beats[i].downbeat ? 110 : 80] });
+        beatTrack.push({ tick: beatTick(i) + MIDI_PPQ / 4, bytes: [0x89, note, 0] });
+      }
+    }
+
+    const header = [0x4d, 0x54, 0x68, 0x64, ...midiU32(6), 0, 1, 0, 2, (MIDI_PPQ >> 8) & 0xff, MIDI_PPQ & 0xff];
+    return new Uint8Array([...header, ...midiTrackChunk(conductor), ...midiTrackChunk(beatTrack)]);
+  }
+
+  // ---------- TEMPO MAP IMPORT ----------
+  // A MIDI tempo/time-signature track or a CSV of beat times → {beats, beatsPerBar}.
+  // minSeconds: without notes to say where the song ends, keep generating beats at least
+  // that long (the audio length).
+  function parseMidiTempoMap(bytes, minSeconds = 0) {
+    let p = 0;
+    const u16 = () => { const v = (bytes[p] << 8) | bytes[p + 1]; p += 2; return v; };
+    const u32 = () => { const v = ((bytes[p] << 24) | (bytes[p + 1] << 16) | (bytes[p + 2] << 8) | bytes[p + 3]) >>> 0; p += 4; return v; };
+    const tag = () => { const t = String.fromCharCode(bytes[p], bytes[p + 1], bytes[p + 2], bytes[p + 3]); p += 4; return t; };
+    const varLen = () => {
+      let v = 0, b;
+      do { b = bytes[p++]; v = (v * 128) + (b & 0x7f); } while (b & 0x80 && p < bytes.length);
+      return v;
+    };
+
+    if (bytes.length < 14 || tag() !== "MThd") throw new Error("Not a MIDI file (no MThd header)");
+    const headerLen = u32();
+    const format = u16();
+    const trackCount = u16();
+    const division = u16();
+    p = 8 + headerLen;
+    if (format === 2) throw new Error("MIDI format 2 (independent patterns) has no single tempo map");
+    if (division & 0x8000) throw new Error("SMPTE-timed MIDI files aren't supported; export with PPQ timing");
+    const ppq = division;
+
+    const tempos = [];   // {tick, us}
+    const timeSigs = []; // {tick, num, den}
+    let firstNote = Infinity, lastNote = -1, endTick = 0;
+
+    for (let t = 0; t < trackCount && p + 8 <= bytes.length; t++) {
+      const id = tag();
+      const len = u32();
+      const end = Math.min(bytes.length, p + len);
+      if (id !== "MTrk") { p = end; continue; }
+      let tick = 0, running = 0;
+      while (p < end) {
+        tick += varLen();
+        let status = bytes[p];
+        if (status & 0x80) p++; else status = running; // running status
+        if (status === 0xff) {
+          const type = bytes[p++];
+          const dlen = varLen();
+          if (type === 0x51 && dlen === 3) tempos.push({ tick, us: (bytes[p] << 16) | (bytes[p + 1] << 8) | bytes[p + 2] });
+          if (type === 0x58 && dlen >= 2) timeSigs.push({ tick, num: bytes[p], den: bytes[p + 1] });
+          p += dlen;
+        } else if (status === 0xf0 || status === 0xf7) {
+          p += varLen();
+        } else {
+          running = status;
+          const kind = status & 0xf0;
+          if (kind === 0x90 && bytes[p + 1] > 0) {
+            firstNote = Math.min(firstNote, tick);
+            lastNote = Math.max(lastNote, tick);
+          }
+          p += (kind === 0xc0 || kind === 0xd0) ? 1 : 2;
+        }
+      }
+      endTick = Math.max(endTick, tick);
+      p = end;
+    }
+
+    const byTick = (a, b) => a.tick - b.tick;
+    tempos.sort(byTick);
+    timeSigs.sort(byTick);
+    if (!tempos.length || tempos[0].tick > 0) tempos.unshift({ tick: 0, us: 500000 }); // SMF default 120 BPM
+    if (!timeSigs.length || timeSigs[0].tick > 0) timeSigs.unshift({ tick: 0, num: 4, den: 2 });
+
+    // tick → seconds, for increasing ticks
+    let ti = 0, tempoSec = 0;
+    const tickToSec = (tick) => {
+      while (ti + 1 < tempos.length && tempos[ti + 1].tick <= tick) {
+        tempoSec += (tempos[ti + 1].tick - tempos[ti].tick) / ppq * tempos[ti].us / 1e6;
+        ti++;
+      }
+      return tempoSec + (tick - tempos[ti].tick) / ppq * tempos[ti].us / 1e6;
+    };
+
+    // With notes (e.g. a click or beat-grid track) the song spans the first to the last note
+    const hasNotes = lastNote >= 0;
+    const lastTick = hasNotes ? lastNote : Math.max(endTick, tempos[tempos.length - 1].tick, timeSigs[timeSigs.length - 1].tick);
+
+    const beats = [];
+    let si = 0, sig = timeSigs[0], beatInBar = 0, tick = 0;
+    for (let guard = 0; guard < 200000; guard++) {
+      // a time signature starts a new bar, even if it doesn't fall on the old bar line. Every
+      // one up to this beat applies before it is written, so the bar line only ever moves
+      // this beat (never one already written) and signatures sharing a tick make one bar.
+      while (si + 1 < timeSigs.length && timeSigs[si + 1].tick <= tick) {
+        sig = timeSigs[++si];
+        tick = sig.tick;
+        beatInBar = 0;
+      }
+      const beatLen = ppq * 4 / Math.pow(2, sig.den); // the denominator is the beat
+      const time = tickToSec(tick);
+      if (tick > lastTick && (hasNotes || time > minSeconds)) break;
+      if (!hasNotes || tick + beatLen > firstNote) beats.push({ time, centroid: 0, downbeat: beatInBar === 0 ? 1 : 0 });
+
+      beatInBar = (beatInBar + 1) % Math.max(1, sig.num);
+      tick += beatLen;
+    }
+    if (!beats.length) throw new Error("MIDI file has no beats to import");
+
+    return { beats, beatsPerBar: timeSigs[0].num || 4 };
+  }
+
+  // CSV/text: one beat per line, seconds first, optional 0/1 downbeat second. Separators may
+  // be commas, semicolons, tabs or spaces; beatTable lines ({1.5,1,120}) work too. Lines that
+  // don't start with a number (headers, comments) are skipped.
+  function parseBeatCsv(text) {
+    const rows = [];
+    for (const raw of text.split(/\r?\n/)) {
+      const fields = raw.replace(/[{}]/g, " ").split(/[,;\t ]+/).filter(Boolean);
+      if (!fields.length) continue;
+      const time = Number(fields[0]);
+      if (!Number.isFinite(time) || time < 0) continue;
+      rows.push({ time, flag: fields.length > 1 ? fields[1] : null });
+    }
+    if (!rows.length) throw new Error("No beat times found (expected seconds in the first column)");
+
+    rows.sort((a, b) => a.time - b.time);
+    const hasDownbeats = rows.every(r => r.flag === "0" || r.flag === "1") && rows.some(r => r.flag === "1");
+    const beats = [];
+    for (const r of rows) {
+      if (beats.length && r.time - beats[beats.length - 1].time < 0.001) continue; // duplicate
+      const downbeat = hasDownbeats ? Number(r.flag) : (beats.length % 4 === 0 ? 1 : 0);
+      beats.push({ time: r.time, centroid: 0, downbeat });
+    }
+    return { beats, beatsPerBar: 4 };
+  }
+
+  // ---------- PIPELINE ----------
+  // Click events → preliminary downbeats → bar grid. events: [{time, centroid, level}];
+  // opts: classifier, meterPins ([{start, end, beatsPerBar}] in seconds)
+  // → {beats (no tempo outputs yet), beatsPerBar, note}
+  function buildClickGrid(events, opts = {}) {
+    const classified = classifyDownbeats(events, opts.classifier || DEFAULT_CLASSIFIER);
+    const refined = refineDownbeatsByBarGrid(classified.beats, opts.meterPins || [], opts.area || null);
+    return { beats: refined.beats, beatsPerBar: refined.beatsPerBar, note: classified.note };
+  }
+
+  // A whole click track in one go, the way the page analyzes it: detection, a centroid and
+  // level per click, downbeats, bars and tempo outputs.
+  // opts: detection, bandpass ({enabled, low, high}), classifier, meterPins, regularize, area
+  // → {beats, beatsPerBar, note, clicks}
+  function analyzeClickTrack(samples, sr, opts = {}) {
+    const { clicks } = detectClickOnsets(samples, sr, opts.detection || DEFAULT_DETECTION, opts.bandpass || null, opts.area || null);
+    const events = clicks.map(time => ({
+      time,
+      centroid: analyzeCentroid(samples, sr, time),
+      level: clickLevelDb(samples, sr, time)
+    }));
+    const grid = buildClickGrid(events, opts);
+    const beats = annotateBars(computeTempoOutputs(grid.beats, opts.regularize || DEFAULT_REGULARIZE, opts.area || null), opts.area || null);
+    return { beats, beatsPerBar: grid.beatsPerBar, note: grid.note, clicks };
+  }
+
+  const BeatGridCore = {
+    DEFAULT_DETECTION,
+    parabolicOffset,
+    refinedPeakTimeSeconds,
+    onsetEnvelope,
+    slidingMax,
+    adaptiveThreshold,
+    pickOnsets,
+    detectClicks,
+    detectClickOnsets,
+    DEFAULT_AREA,
+    areaIsSet,
+    inAnalysisArea,
+    maskOnsetEnvelope,
+    areaBreaks,
+    areaTimeShift,
+    rebaseGrid,
+    biquadCoeffs,
+    biquadInPlace,
+    bandpassFilter,
+    fftInPlace,
+    analyzeSpectrum,
+    spectralCentroid,
+    analyzeCentroid,
+    clickLevelDb,
+    DEFAULT_CLASSIFIER,
+    DEFAULT_REGULARIZE,
+    DEFAULT_TIMECODE,
+    DEFAULT_MARKER_STYLE,
+    PROJECT_FORMAT,
+    PROJECT_VERSION,
+    PROJECT_BEAT_FIELDS,
+    maxAbs,
+    channelLabel,
+    mixToMono,
+    scoreClickChannel,
+    pickAnalysisChannel,
+    lowerBoundBeat,
+    kmeans,
+    refineDownbeatsByBarGrid,
+    annotateBars,
+    computeTempoOutputs,
+    smoothTempoCurve,
+    fitBeatTimes,
+    fitTempoSegments,
+    fittedTempoOutputs,
+    fitSummary,
+    classifyDownbeats,
+    TC_RATES,
+    parseTimecode,
+    framesToTimecode,
+    timecodeRate,
+    timecodeOffsetSeconds,
+    timecodeFromOffset,
+    timecodeNote,
+    timecodeAt,
+    formatSecondsFromSeconds,
+    luaQuote,
+    hexToMaColor,
+    markerName,
+    beatTableRows,
+    buildLuaFromSongs,
+    buildLuaFromClickBeats,
+    splitLuaIntoBase64Blocks,
+    buildXmlWithLuaBase64,
+    maColorToHex,
+    parseBeatImporterXml,
+    buildMidiTempoMap,
+    parseMidiTempoMap,
+    parseBeatCsv,
+    buildClickGrid,
+    analyzeClickTrack
+  };
+
+  if (typeof module === "object" && module.exports) module.exports = BeatGridCore;
+  else root.BeatGridCore = BeatGridCore;
+})(typeof self !== "undefined" ? self : this);
@@ -0,0 +1,269 @@
+#!/usr/bin/env node
+// The tests: regression checks for the shared analysis and export code in beatgrid-core.js.
+// Writes synthetic click tracks with known beats, runs them through cli.js and reads the
+// results back, and round-trips the plugin, MIDI and CSV formats. Run it after any change to
+// the core, cli.js or the page's export code (no packages needed, just Node):
+//
+//   node check.js      (exit code 1 when a check fails)
+"use strict";
+
+const assert = require("assert");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const BeatGridCore = require("./beatgrid-core.js");
+const cli = require("./cli.js");
+
+const SR = 44100;
+
+// A mono 16-bit WAV click track. bars: beats per bar, one entry per bar; downbeats click at
+// 2 kHz, the other beats at 1 kHz. → {bytes, times: [{time, downbeat}]}
+function clickTrack({ bpm = 120, bars, start = 0.5, secs }) {
+  const times = [];
+  let t = start;
+  for (const len of bars) {
+    for (let k = 0; k < len; k++, t += 60 / bpm) times.push({ time: t, downbeat: k === 0 });
+  }
+  const length = Math.ceil((secs || t + 1) * SR);
+  const samples = new Float32Array(length);
+  for (const { time, downbeat } of times) {
+    const f = downbeat ? 2000 : 1000;
+    const s0 = Math.round(time * SR);
+    for (let k = 0; k < SR * 0.02 && s0 + k < length; k++) {
+      samples[s0 + k] += 0.8 * Math.sin(2 * Math.PI * f * k / SR) * Math.exp(-k / (SR * 0.004));
+    }
+  }
+
+  const bytes = Buffer.alloc(44 + length * 2);
+  bytes.write("RIFF", 0);
+  bytes.writeUInt32LE(36 + length * 2, 4);
+  bytes.write("WAVEfmt ", 8);
+  bytes.writeUInt32LE(16, 16);
+  bytes.writeUInt16LE(1, 20); // PCM
+  bytes.writeUInt16LE(1, 22); // mono
+  bytes.writeUInt32LE(SR, 24);
+  bytes.writeUInt32LE(SR * 2, 28);
+  bytes.writeUInt16LE(2, 32);
+  bytes.writeUInt16LE(16, 34);
+  bytes.write("data", 36);
+  bytes.writeUInt32LE(length * 2, 40);
+  for (let i = 0; i < length; i++) bytes.writeInt16LE(Math.round(Math.max(-1, Math.min(1, samples[i])) * 32767), 44 + i * 2);
+  return { bytes, times };
+}
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), "beatgrid-check-"));
+
+// cli.js on a track → its CSV as rows {time, downbeat, bpm, tempoChange (0 = none), bar, beat, meter}
+function runCsv(name, track, flags = []) {
+  const wav = path.join(dir, `${name}.wav`);
+  fs.writeFileSync(wav, track.bytes);
+  const out = path.join(dir, `${name}.csv`);
+  const code = cli.main([wav, "-q", "-f", "csv", "-o", out, ...flags]);
+  assert.strictEqual(code, 0, `cli.js exited with ${code}`);
+  return fs.readFileSync(out, "utf8").trim().split("\n").slice(1).map(line => {
+    const [time, downbeat, bpm, tempoChange, bar, beat, meter] = line.split(",");
+    return { time: Number(time), downbeat: downbeat === "1", bpm: Number(bpm), tempoChange: Number(tempoChange), bar: Number(bar), beat: Number(beat), meter: Number(meter) };
+  });
+}
+
+// Beat times within half a millisecond, downbeats where the track has them (the XML reader
+// gives downbeats as 0/1)
+function assertBeats(rows, times) {
+  assert.strictEqual(rows.length, times.length, "beat count");
+  rows.forEach((row, i) => {
+    assert.ok(Math.abs(row.time - times[i].time) < 0.0005, `beat ${i + 1} at ${row.time}s, expected ${times[i].time}s`);
+    assert.strictEqual(!!row.downbeat, times[i].downbeat, `beat ${i + 1} downbeat`);
+  });
+}
+
+const checks = [];
+const check = (name, fn) => checks.push({ name, fn });
+
+check("steady 4/4 click → CSV", () => {
+  const track = clickTrack({ bars: new Array(10).fill(4) });
+  const rows = runCsv("steady", track);
+  assertBeats(rows, track.times);
+  rows.forEach((row, i) => {
+    if (i < rows.length - 1) assert.strictEqual(row.bpm, 120, `beat ${i + 1} tempo`); // the last beat has no next one
+    assert.strictEqual(row.meter, 4, `beat ${i + 1} meter`);
+    assert.strictEqual(row.beat, (i % 4) + 1, `beat ${i + 1} beat in bar`);
+  });
+  assert.deepStrictEqual(rows.filter(r => r.tempoChange).map(r => r.time), [rows[0].time], "one tempo change, at the start");
+});
+
+check("plugin XML reads back as the same grid", () => {
+  const track = clickTrack({ bars: new Array(6).fill(3), bpm: 100 });
+  const wav = path.join(dir, "waltz.wav");
+  fs.writeFileSync(wav, track.bytes);
+  const out = path.join(dir, "waltz.xml");
+  assert.strictEqual(cli.main([wav, "-q", "-o", out, "--timecode", "01:00:00:00"]), 0);
+  const plugin = BeatGridCore.parseBeatImporterXml(fs.readFileSync(out, "utf8"));
+  assert.strictEqual(plugin.songs.length, 1);
+  const song = plugin.songs[0];
+  assert.strictEqual(song.beatsPerBar, 3);
+  assert.strictEqual(song.timecodeOffset, 3600);
+  assert.deepStrictEqual(BeatGridCore.timecodeFromOffset(song.timecodeOffset, { rate: "30" }), { start: "01:00:00:00", rate: "30" });
+  assertBeats(song.beats, track.times);
+});
+
+check("plugin keeps quotes and semicolons out of MA3 command names and refuses empty songs", () => {
+  const beats = [0.5, 1, 1.5, 2].map((time, i) => ({ time, downbeat: i === 0 }));
+  const lua = BeatGridCore.buildLuaFromSongs([{
+    name: 'Say "Hi"; Delete Timecode 1',
+    beats,
+    timecode: 1,
+    sections: [{ start: 0.5, end: 2, name: 'Intro"; Delete Appearance 1 Thru; "', color: "#ff0000" }]
+  }], "Show", {
+    markerStyle: { ...BeatGridCore.DEFAULT_MARKER_STYLE, downAppearance: 'Ones"; Off' },
+    sectionExport: { mode: "separate", trackGroup: 2 }
+  });
+  assert.ok(lua.includes('"Intro Delete Appearance 1 Thru"'), "section name");
+  assert.ok(lua.includes('"Say Hi Delete Timecode 1"'), "song name");
+  assert.ok(lua.includes('local downbeatAppearance = "Ones Off"'), "appearance name");
+  assert.ok(!/\\"|;/.test(lua.slice(lua.indexOf("local songs"), lua.indexOf("local beatTable,"))), "no quote or semicolon in the songs table");
+  assert.throws(() => BeatGridCore.buildLuaFromSongs([{ name: "Empty", beats: [], timecode: 1 }], "Show"), /"Empty" has no beats/);
+});
+
+check("timecode start survives the plugin's offset in seconds at every rate", () => {
+  for (const rate of Object.keys(BeatGridCore.TC_RATES)) {
+    const tc = { start: rate === "29.97df" ? "00:10:00;02" : "01:02:03:04", rate };
+    assert.deepStrictEqual(BeatGridCore.timecodeFromOffset(BeatGridCore.timecodeOffsetSeconds(tc), tc), tc, rate);
+  }
+});
+
+// Bar lengths from downbeat flags: [{downbeat}] → "4,4,2,2,4"
+const barLengths = (beats) => {
+  const downs = [];
+  beats.forEach((b, i) => { if (b.downbeat) downs.push(i); });
+  return downs.map((d, k) => (k + 1 < downs.length ? downs[k + 1] : beats.length) - d).join(",");
+};
+
+check("bar grid refit keeps short meter changes and drops one-off misflags", () => {
+  const cases = [
+    ["4,4,4,4,2,2,2,2,4,4,4,4", "4,4,4,4,2,2,2,2,4,4,4,4"],
+    ["4,4,4,4,2,2,4,4,4,4", "4,4,4,4,2,2,4,4,4,4"],
+    ["4,4,4,4,2,4,4,4,4", "4,4,4,4,2,4,4,4,4"],
+    ["3,3,3,3,4,4,4,4", "3,3,3,3,4,4,4,4"],
+    ["4,4,4,4,3,5,4,4,4,4", "4,4,4,4,4,4,4,4,4,4"], // a downbeat flagged a beat early
+    ["4,4,4,4,8,4,4,4,4", "4,4,4,4,4,4,4,4,4,4"] // one not flagged
+  ];
+  for (const [flags, expected] of cases) {
+    const beats = [];
+    for (const len of flags.split(",").map(Number)) {
+      for (let k = 0; k < len; k++) beats.push({ time: beats.length * 0.5, centroid: 0, downbeat: k === 0 });
+    }
+    assert.strictEqual(barLengths(BeatGridCore.refineDownbeatsByBarGrid(beats).beats), expected, `flags ${flags}`);
+  }
+});
+
+check("4/4 → 2/4 → 4/4 click → CSV", () => {
+  const track = clickTrack({ bars: [4, 4, 4, 4, 2, 2, 4, 4, 4, 4] });
+  const rows = runCsv("two-four", track);
+  assertBeats(rows, track.times);
+  assert.deepStrictEqual(rows.filter(r => r.beat === 1).map(r => r.meter), [4, 4, 4, 4, 2, 2, 4, 4, 4, 4]);
+});
+
+check("excluded stretch is a break in tempo and bars", () => {
+  const track = clickTrack({ bars: new Array(10).fill(4) });
+  const rows = runCsv("excluded", track, ["--region", "1.8-19.8", "--exclude", "8.2-11.8"]);
+  assertBeats(rows, track.times.filter(b => b.time >= 1.8 && b.time <= 19.8 && !(b.time >= 8.2 && b.time <= 11.8)));
+  rows.forEach((row, i) => {
+    if (i < rows.length - 1) assert.strictEqual(row.bpm, 120, `beat ${i + 1} tempo`);
+    assert.strictEqual(row.meter, 4, `beat ${i + 1} meter`);
+  });
+  assert.deepStrictEqual(rows.filter(r => r.tempoChange).map(r => r.time), [rows[0].time], "one tempo change, at the start");
+  const after = rows.findIndex(r => r.time > 11.8);
+  assert.strictEqual(rows[after].beat, 4, "the beat after the break is a pickup");
+  assert.strictEqual(rows[after + 1].bar, rows[after - 1].bar + 2, "bar counting restarts after the break");
+});
+
+// Beats from times and downbeat flags, with tempo, bars and meters counted as on the page
+const countedBeats = (times, downbeats) =>
+  BeatGridCore.annotateBars(BeatGridCore.computeTempoOutputs(times.map((time, i) => ({ time, centroid: 0, downbeat: downbeats.includes(i) ? 1 : 0 }))));
+const halfSeconds = (n, start = 0) => Array.from({ length: n }, (_, i) => start + i * 0.5);
+
+check("marker names and durations from templates", () => {
+  const beats = countedBeats(halfSeconds(10), [2, 6]); // two pickup beats, then 4/4
+  const style = { ...BeatGridCore.DEFAULT_MARKER_STYLE, downName: "{bar} {foo}", otherName: "{bar}.{beat}", duration: "bar" };
+  const rows = BeatGridCore.beatTableRows(beats, style);
+  assert.deepStrictEqual(rows.map(r => r.name), ["0.3", "0.4", "1 {foo}", "1.2", "1.3", "1.4", "2 {foo}", "2.2", "2.3", "2.4"]);
+  assert.deepStrictEqual(rows.map(r => r.tempo), [120, 0, 0, 0, 0, 0, 0, 0, 0, 0], "tempo on the first beat only");
+  assert.strictEqual(rows[2].duration, 2, "a downbeat spans its bar");
+  assert.strictEqual(rows[6].duration, 2, "the last bar is as long as its meter");
+  assert.strictEqual(rows[3].duration, 0.25, "other beats are half a beat");
+  const fixed = BeatGridCore.beatTableRows(beats, { ...style, downName: "", otherName: "{bpm}", duration: "fixed", durationValue: 0 });
+  assert.deepStrictEqual(fixed.slice(0, 3).map(r => r.name), ["120.0", "120.0", ""], "an empty template names nothing");
+  assert.ok(fixed.every(r => r.duration === 0.001), "durations never go to zero");
+});
+
+// Tempo meta events of a MIDI file, in BPM
+const midiTempos = (bytes) => {
+  const bpm = [];
+  for (let i = 0; i + 5 < bytes.length; i++) {
+    if (bytes[i] === 0xff && bytes[i + 1] === 0x51 && bytes[i + 2] === 3) bpm.push(60e6 / ((bytes[i + 3] << 16) | (bytes[i + 4] << 8) | bytes[i + 5]));
+  }
+  return bpm;
+};
+
+check("MIDI tempo map reads back, with a lead-in or a short first bar for the pickup", () => {
+  for (const start of [0, 0.25]) {
+    const beats = countedBeats(halfSeconds(10, start), [2, 6]);
+    const bytes = BeatGridCore.buildMidiTempoMap(beats);
+    assert.deepStrictEqual(midiTempos(bytes), start ? [480, 120] : [120], `tempos, song at ${start}s`);
+    const back = BeatGridCore.parseMidiTempoMap(bytes);
+    assertBeats(back.beats, beats.map((b, i) => ({ time: b.time, downbeat: start ? !!b.downbeat : i === 0 || !!b.downbeat })));
+  }
+});
+
+// A type-1 MIDI file at 960 PPQ from tracks of [tick, ...event bytes], in tick order
+function midiFile(tracks) {
+  const varLen = (v) => {
+    const out = [v & 0x7f];
+    while ((v >>>= 7) > 0) out.unshift((v & 0x7f) | 0x80);
+    return out;
+  };
+  const u32 = (v) => [(v >>> 24) & 0xff, (v >>> 16) & 0xff, (v >>> 8) & 0xff, v & 0xff];
+  const chunks = tracks.map(events => {
+    const data = [];
+    let last = 0;
+    for (const [tick, ...bytes] of events) {
+      data.push(...varLen(tick - last), ...bytes);
+      last = tick;
+    }
+    data.push(0, 0xff, 0x2f, 0);
+    return [0x4d, 0x54, 0x72, 0x6b, ...u32(data.length), ...data];
+  });
+  return new Uint8Array([0x4d, 0x54, 0x68, 0x64, ...u32(6), 0, 1, 0, tracks.length, 0x03, 0xc0, ...chunks.flat()]);
+}
+
+check("MIDI meter change in the middle of a bar starts a new bar without repeating beats", () => {
+  const sig = (tick, num) => [tick, 0xff, 0x58, 4, num, 2, 24, 8];
+  const tempo = [0, 0xff, 0x51, 3, 0x07, 0xa1, 0x20]; // 120 BPM
+  // 3/4 on the second beat of bar 2, and the same signatures again in a second track
+  const bytes = midiFile([[tempo, sig(0, 4), sig(4800, 3), [9600, 0xff, 0x01, 0]], [sig(0, 4), sig(4800, 3)]]);
+  const { beats } = BeatGridCore.parseMidiTempoMap(bytes);
+  const times = beats.map(b => b.time);
+  assert.deepStrictEqual(times, halfSeconds(11), "one beat per quarter, none repeated");
+  assert.deepStrictEqual(beats.filter(b => b.downbeat).map(b => b.time), [0, 2, 2.5, 4]);
+});
+
+check("CSV import skips headers and duplicates and counts bars when it has no downbeats", () => {
+  const { beats } = BeatGridCore.parseBeatCsv("time;downbeat\n1.5;0\n0.5;1\n1.0;0\n1.0004;0\n# end\n");
+  assert.deepStrictEqual(beats.map(b => [b.time, b.downbeat]), [[0.5, 1], [1, 0], [1.5, 0]]);
+  const plain = BeatGridCore.parseBeatCsv(halfSeconds(6).join("\n")).beats;
+  assert.deepStrictEqual(plain.map(b => b.downbeat), [1, 0, 0, 0, 1, 0]);
+});
+
+let failed = 0;
+for (const { name, fn } of checks) {
+  try {
+    fn();
+    console.log(`ok - ${name}`);
+  } catch (err) {
+    failed++;
+    console.log(`not ok - ${name}\n  ${err.message}`);
+  }
+}
+fs.rmSync(dir, { recursive: true, force: true });
+console.log(failed ? `${failed} of ${checks.length} checks failed` : `all ${checks.length} checks passed`);
+process.exitCode = failed ? 1 : 0;
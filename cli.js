@@ -0,0 +1,360 @@
+#!/usr/bin/env node
+// Click tracks → beat grids without the browser: decodes WAV files, runs the same analysis as
+// the page (beatgrid-core.js) and writes the MA3 plugin XML, a project file the page can open,
+// or a CSV of beats. For scripted setlist prep and regression runs against known click tracks.
+//
+//   node cli.js [options] <file.wav>...      (node cli.js --help lists the options)
+//   node check.js                            (the regression tests for this and the core)
+"use strict";
+
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+const BeatGridCore = require("./beatgrid-core.js");
+const { decodeWav } = require("./wav-decoder.js");
+
+const USAGE = `Usage: node cli.js [options] <file.wav>...
+
+Analysis:
+  --channel auto|mix|N       channel to analyze, N from 1 (default: auto-detect the click)
+  --sensitivity PERCENT      detection sensitivity 0-100 (default 50)
+  --min-gap MS               shortest gap between clicks (default 80)
+  --peak-search MS           peak search window after an onset (default 8)
+  --bandpass LOW-HIGH        band-pass the detector input, in Hz (e.g. 500-6000)
+  --downbeats pitch|volume|meter
+                             preliminary downbeats from click tones, accents or a fixed meter
+  --tones N                  click tones for pitch (2-4, default 2)
+  --meter N                  beats per bar for meter (default 4)
+  --first-downbeat SECONDS   first downbeat for meter (default: the first beat)
+  --regularize [MS]          tempo from fitted steady/ramp segments (tolerance, default 2)
+  --region START-END         analyze and export only this part, in seconds (e.g. 4.5-212)
+  --exclude START-END,...    leave these parts out (talkback, a false start)
+  --rebase                   beat times from the region start instead of the file start
+
+Export:
+  -f, --format xml|json|csv  MA3 plugin XML (default), project JSON for the page, or beat CSV
+  -o, --out PATH             output file, or a directory (default: next to each input)
+  --timecode HH:MM:SS:FF     song start on the show timecode (default 00:00:00:00)
+  --fps RATE                 23.976, 24, 25, 29.97df, 29.97 or 30 (default 30)
+  --down-name TEMPLATE       downbeat marker name, e.g. "{bar}" (default "{tempo}")
+  --other-name TEMPLATE      other beat marker name (default "{tempo}")
+  --setlist NAME             all inputs in one multi-song plugin (xml only)
+  -q, --quiet                no summary per file
+  -h, --help                 this text`;
+
+// flag → [option key, takes a value]
+const FLAGS = {
+  "--channel": ["channel", true],
+  "--sensitivity": ["sensitivity", true],
+  "--min-gap": ["minGap", true],
+  "--peak-search": ["peakSearch", true],
+  "--bandpass": ["bandpass", true],
+  "--downbeats": ["downbeats", true],
+  "--tones": ["tones", true],
+  "--meter": ["meter", true],
+  "--first-downbeat": ["firstDownbeat", true],
+  "--regularize": ["regularize", false],
+  "--region": ["region", true],
+  "--exclude": ["exclude", true],
+  "--rebase": ["rebase", false],
+  "-f": ["format", true],
+  "--format": ["format", true],
+  "-o": ["out", true],
+  "--out": ["out", true],
+  "--timecode": ["timecode", true],
+  "--fps": ["fps", true],
+  "--down-name": ["downName", true],
+  "--other-name": ["otherName", true],
+  "--setlist": ["setlist", true],
+  "-q": ["quiet", false],
+  "--quiet": ["quiet", false],
+  "-h": ["help", false],
+  "--help": ["help", false]
+};
+
+class UsageError extends Error {}
+
+function parseArgs(argv) {
+  const args = { files: [] };
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    const eq = arg.startsWith("--") ? arg.indexOf("=") : -1;
+    const flag = eq > 0 ? arg.slice(0, eq) : arg;
+    if (!flag.startsWith("-") || flag === "-") {
+      args.files.push(arg);
+      continue;
+    }
+    const spec = FLAGS[flag];
+    if (!spec) throw new UsageError(`Unknown option ${flag}`);
+    const [key, takesValue] = spec;
+    if (eq > 0) {
+      args[key] = arg.slice(eq + 1);
+    } else if (takesValue) {
+      if (i + 1 >= argv.length) throw new UsageError(`${flag} needs a value`);
+      args[key] = argv[++i];
+    } else if (key === "regularize" && /^\d*\.?\d+$/.test(argv[i + 1] || "")) {
+      args[key] = argv[++i]; // optional tolerance
+    } else {
+      args[key] = true;
+    }
+  }
+  return args;
+}
+
+function numberArg(args, key, flag, min, max) {
+  const v = Number(args[key]);
+  if (!Number.isFinite(v) || v < min || v > max) throw new UsageError(`${flag} must be a number from ${min} to ${max}`);
+  return v;
+}
+
+// Flags → the settings the page keeps in its state
+function settingsFromArgs(args) {
+  const detection = { ...BeatGridCore.DEFAULT_DETECTION };
+  if (args.sensitivity != null) detection.sensitivity = numberArg(args, "sensitivity", "--sensitivity", 0, 100) / 100;
+  if (args.minGap != null) detection.minGapMs = numberArg(args, "minGap", "--min-gap", 1, 5000);
+  if (args.peakSearch != null) detection.peakSearchMs = numberArg(args, "peakSearch", "--peak-search", 1, 500);
+
+  let bandpass = null;
+  if (args.bandpass != null) {
+    const m = /^(\d+(?:\.\d+)?)-(\d+(?:\.\d+)?)$/.exec(String(args.bandpass));
+    if (!m || Number(m[2]) <= Number(m[1])) throw new UsageError("--bandpass must be LOW-HIGH in Hz, e.g. 500-6000");
+    bandpass = { enabled: true, low: Number(m[1]), high: Number(m[2]) };
+  }
+
+  const classifier = { ...BeatGridCore.DEFAULT_CLASSIFIER };
+  if (args.downbeats != null) {
+    if (!["pitch", "volume", "meter"].includes(args.downbeats)) throw new UsageError("--downbeats must be pitch, volume or meter");
+    classifier.mode = args.downbeats;
+  }
+  if (args.tones != null) classifier.tones = numberArg(args, "tones", "--tones", 2, 4);
+  if (args.meter != null) classifier.meter = numberArg(args, "meter", "--meter", 1, 12);
+  if (args.firstDownbeat != null) {
+    classifier.firstDownbeat = numberArg(args, "firstDownbeat", "--first-downbeat", 0, Infinity);
+    classifier.mode = "meter";
+  }
+
+  const regularize = { ...BeatGridCore.DEFAULT_REGULARIZE };
+  if (args.regularize != null) {
+    regularize.enabled = true;
+    if (args.regularize !== true) regularize.toleranceMs = numberArg(args, "regularize", "--regularize", 0.01, 100);
+  }
+
+  // "4.5-212" → {start, end} in seconds
+  const range = (text, flag) => {
+    const m = /^(\d*\.?\d+)-(\d*\.?\d+)$/.exec(text.trim());
+    if (!m || Number(m[2]) <= Number(m[1])) throw new UsageError(`${flag} must be START-END in seconds, e.g. 4.5-212`);
+    return { start: Number(m[1]), end: Number(m[2]) };
+  };
+  const area = { ...BeatGridCore.DEFAULT_AREA, exclusions: [] };
+  if (args.region != null) area.region = range(String(args.region), "--region");
+  if (args.exclude != null) area.exclusions = String(args.exclude).split(",").map(part => range(part, "--exclude"));
+  if (args.rebase) {
+    if (!area.region) throw new UsageError("--rebase needs --region");
+    area.rebase = true;
+  }
+
+  let channel = "auto";
+  if (args.channel != null) {
+    if (args.channel === "auto" || args.channel === "mix") channel = args.channel;
+    else channel = String(numberArg(args, "channel", "--channel", 1, 64) - 1);
+  }
+
+  const timecode = { ...BeatGridCore.DEFAULT_TIMECODE };
+  if (args.fps != null) {
+    if (!BeatGridCore.TC_RATES[args.fps]) throw new UsageError(`--fps must be one of ${Object.keys(BeatGridCore.TC_RATES).join(", ")}`);
+    timecode.rate = args.fps;
+  }
+  if (args.timecode != null) {
+    const rate = BeatGridCore.timecodeRate(timecode);
+    const frames = BeatGridCore.parseTimecode(args.timecode, rate);
+    if (frames == null) throw new UsageError(`--timecode ${args.timecode} isn't a valid ${rate.label} fps timecode`);
+    timecode.start = BeatGridCore.framesToTimecode(frames, rate);
+  }
+
+  const markerStyle = { ...BeatGridCore.DEFAULT_MARKER_STYLE };
+  if (args.downName != null) markerStyle.downName = args.downName;
+  if (args.otherName != null) markerStyle.otherName = args.otherName;
+
+  const format = args.format || "xml";
+  if (!["xml", "json", "csv"].includes(format)) throw new UsageError("--format must be xml, json or csv");
+  if (args.setlist != null && format !== "xml") throw new UsageError("--setlist writes xml only");
+
+  return { detection, bandpass, classifier, regularize, area, channel, timecode, markerStyle, format };
+}
+
+const baseFileName = (file) => path.basename(file).replace(/\.(wav|mp3)$/i, "");
+
+function analyzeWav(file, settings) {
+  const bytes = fs.readFileSync(file);
+  const buffer = decodeWav(bytes);
+  const pick = BeatGridCore.pickAnalysisChannel(buffer, settings.channel, settings.detection);
+  const result = BeatGridCore.analyzeClickTrack(pick.samples, buffer.sampleRate, settings);
+  return { file, bytes, buffer, pick, name: baseFileName(file), ...result };
+}
+
+function describe(song) {
+  const { beats, buffer, pick } = song;
+  const channel = pick.channel === -1
+    ? "sum of channels"
+    : BeatGridCore.channelLabel(pick.channel, buffer.numberOfChannels) + (pick.scores ? " (auto)" : "");
+  const tempo = beats.length ? `${beats[0].bpm} BPM at the start, ` : "";
+  return `${song.file}: ${beats.length} beats, ${tempo}mostly ${song.beatsPerBar}/4, ${channel}; downbeats: ${song.note}`;
+}
+
+function xmlForSongs(songs, pluginName, settings) {
+  const lua = BeatGridCore.buildLuaFromSongs(songs, pluginName, {
+    markerStyle: settings.markerStyle,
+    sectionExport: { mode: "separate", trackGroup: 2 } // the page's default; no sections here anyway
+  });
+  const blocks = BeatGridCore.splitLuaIntoBase64Blocks(lua, 1024);
+  return BeatGridCore.buildXmlWithLuaBase64(blocks, pluginName, songs.length > 1 ? songs.map(s => s.name) : []);
+}
+
+function pluginSong(song, settings, number = 1) {
+  return {
+    name: song.name,
+    beats: BeatGridCore.rebaseGrid(song.beats, [], settings.area).beats,
+    timecode: number,
+    timecodeOffset: BeatGridCore.timecodeOffsetSeconds(settings.timecode),
+    timecodeNote: BeatGridCore.timecodeNote(settings.timecode),
+    timecodeSetting: settings.timecode,
+    beatsPerBar: song.beatsPerBar,
+    sections: []
+  };
+}
+
+// The page's project file, so a grid made here can be reviewed and edited there
+function projectJson(song, settings) {
+  const pickFields = (b) => {
+    const out = {};
+    for (const key of BeatGridCore.PROJECT_BEAT_FIELDS) if (b[key] !== undefined) out[key] = b[key];
+    return out;
+  };
+  const project = {
+    format: BeatGridCore.PROJECT_FORMAT,
+    version: BeatGridCore.PROJECT_VERSION,
+    savedAt: new Date().toISOString(),
+    source: {
+      name: path.basename(song.file),
+      size: song.bytes.length,
+      sha256: crypto.createHash("sha256").update(song.bytes).digest("hex")
+    },
+    fileBaseName: song.name,
+    sampleRate: song.buffer.sampleRate,
+    channels: song.buffer.numberOfChannels,
+    analysis: {
+      mode: "click",
+      channel: settings.channel,
+      detection: settings.detection,
+      bandpass: settings.bandpass || { enabled: false, low: 500, high: 6000 },
+      classifier: settings.classifier,
+      regularize: settings.regularize,
+      area: settings.area
+    },
+    grid: { beats: song.beats.map(pickFields), beatsPerBar: song.beatsPerBar, meterPins: [], sections: [] },
+    export: { timecode: settings.timecode, markerStyle: settings.markerStyle }
+  };
+  return JSON.stringify(project, null, 2);
+}
+
+// One row per beat; the page's tempo map import reads it back (seconds, then 0/1 downbeat)
+function beatsCsv(song, settings) {
+  const { beats } = BeatGridCore.rebaseGrid(song.beats, [], settings.area);
+  const rows = BeatGridCore.beatTableRows(beats, settings.markerStyle, { beatsPerBar: song.beatsPerBar, timecode: settings.timecode });
+  const lines = ["time,downbeat,bpm,tempo_change,bar,beat,meter,timecode"];
+  beats.forEach((b, i) => {
+    lines.push([
+      b.time.toFixed(6),
+      b.downbeat ? 1 : 0,
+      b.bpm,
+      rows[i].tempo,
+      b.bar ?? "",
+      b.beatInBar ?? "",
+      b.meter ?? "",
+      BeatGridCore.timecodeAt(b.time, settings.timecode)
+    ].join(","));
+  });
+  return lines.join("\n") + "\n";
+}
+
+const OUTPUT_NAMES = {
+  xml: (name) => `${name} Beat Importer.xml`,
+  json: (name) => `${name}.beatgrid.json`,
+  csv: (name) => `${name} Beats.csv`
+};
+
+// --out is a directory when it exists as one, ends in a separator, or there are several outputs
+function outputPath(out, defaultDir, fileName, several) {
+  if (!out) return path.join(defaultDir, fileName);
+  const isDir = several || /[\\/]$/.test(out) || (fs.existsSync(out) && fs.statSync(out).isDirectory());
+  if (!isDir) return out;
+  fs.mkdirSync(out, { recursive: true });
+  return path.join(out, fileName);
+}
+
+function main(argv) {
+  let args, settings;
+  try {
+    args = parseArgs(argv);
+    if (args.help) {
+      console.log(USAGE);
+      return 0;
+    }
+    if (!args.files.length) throw new UsageError("No input files");
+    settings = settingsFromArgs(args);
+  } catch (err) {
+    if (!(err instanceof UsageError)) throw err;
+    console.error(`${err.message}\n\n${USAGE}`);
+    return 2;
+  }
+
+  const log = (msg) => { if (!args.quiet) console.error(msg); };
+  const songs = [];
+  let failed = 0;
+  for (const file of args.files) {
+    try {
+      const song = analyzeWav(file, settings);
+      if (!song.beats.length) throw new Error("no clicks found at these settings");
+      songs.push(song);
+      log(describe(song));
+    } catch (err) {
+      console.error(`${file}: ${err.message}`);
+      failed++;
+    }
+  }
+
+  if (args.setlist != null) {
+    if (songs.length) {
+      const name = String(args.setlist).trim() || "Show";
+      try {
+        const xml = xmlForSongs(songs.map((song, i) => pluginSong(song, settings, i + 1)), name, settings);
+        const target = outputPath(args.out, path.dirname(songs[0].file), `${name} Setlist Importer.xml`, false);
+        fs.writeFileSync(target, xml);
+        log(`wrote ${target} (${songs.length} songs)`);
+      } catch (err) {
+        console.error(`${name}: ${err.message}`);
+        failed++;
+      }
+    }
+  } else {
+    const several = args.files.length > 1;
+    for (const song of songs) {
+      try {
+        const text = settings.format === "json" ? projectJson(song, settings)
+          : settings.format === "csv" ? beatsCsv(song, settings)
+            : xmlForSongs([pluginSong(song, settings)], song.name, settings);
+        const target = outputPath(args.out, path.dirname(song.file), OUTPUT_NAMES[settings.format](song.name), several);
+        fs.writeFileSync(target, text);
+        log(`wrote ${target}`);
+      } catch (err) {
+        console.error(`${song.file}: ${err.message}`);
+        failed++;
+      }
+    }
+  }
+  return failed ? 1 : 0;
+}
+
+if (require.main === module) process.exitCode = main(process.argv.slice(2));
+
+module.exports = { main, parseArgs, settingsFromArgs, analyzeWav };
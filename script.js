@@ -10,6 +10,100 @@
   const output = document.getElementById("output");
   const zoomEl = document.getElementById("zoom");
   const zoomValEl = document.getElementById("zoomVal");
+  const deleteBeatBtn = document.getElementById("deleteBeatBtn");
+  const toggleDownbeatBtn = document.getElementById("toggleDownbeatBtn");
+  const fitChk = document.getElementById("fitChk");
+  const fitTolEl = document.getElementById("fitTol");
+  const snapFitBtn = document.getElementById("snapFitBtn");
+  const fitInfoEl = document.getElementById("fitInfo");
+  const qaCountEl = document.getElementById("qaCount");
+  const downbeatModeSel = document.getElementById("downbeatMode");
+  const toneCountEl = document.getElementById("toneCount");
+  const downbeatMeterEl = document.getElementById("downbeatMeter");
+  const firstDownbeatBtn = document.getElementById("firstDownbeatBtn");
+  const reclassifyBtn = document.getElementById("reclassifyBtn");
+  const downbeatInfoEl = document.getElementById("downbeatInfo");
+  const qaList = document.getElementById("qaList");
+  const qaFixAllBtn = document.getElementById("qaFixAllBtn");
+  const qaReportBtn = document.getElementById("qaReportBtn");
+  const undoBtn = document.getElementById("undoBtn");
+  const redoBtn = document.getElementById("redoBtn");
+  const historyList = document.getElementById("historyList");
+  const playBtn = document.getElementById("playBtn");
+  const stopBtn = document.getElementById("stopBtn");
+  const clockValEl = document.getElementById("clockVal");
+  const loopChk = document.getElementById("loopChk");
+  const followChk = document.getElementById("followChk");
+  const metroChk = document.getElementById("metroChk");
+  const trackVolEl = document.getElementById("trackVol");
+  const metroVolEl = document.getElementById("metroVol");
+  const channelSel = document.getElementById("channelSel");
+  const channelViewSel = document.getElementById("channelViewSel");
+  const channelInfoEl = document.getElementById("channelInfo");
+  const odfCanvas = document.getElementById("odfCanvas");
+  const markerCanvas = document.getElementById("markerLayer");
+  const minimapCanvas = document.getElementById("minimap");
+  const jumpKindSel = document.getElementById("jumpKind");
+  const jumpToEl = document.getElementById("jumpTo");
+  const jumpBtn = document.getElementById("jumpBtn");
+  const jumpInfoEl = document.getElementById("jumpInfo");
+  const tempoCanvas = document.getElementById("tempoCanvas");
+  const sensitivityEl = document.getElementById("sensitivity");
+  const minGapEl = document.getElementById("minGap");
+  const peakSearchEl = document.getElementById("peakSearch");
+  const detectInfoEl = document.getElementById("detectInfo");
+  const bandpassChk = document.getElementById("bandpassChk");
+  const bandLowEl = document.getElementById("bandLow");
+  const bandHighEl = document.getElementById("bandHigh");
+  const learnBandBtn = document.getElementById("learnBandBtn");
+  const modeSel = document.getElementById("modeSel");
+  const meterFromEl = document.getElementById("meterFrom");
+  const meterToEl = document.getElementById("meterTo");
+  const meterBpbEl = document.getElementById("meterBpb");
+  const pinMeterBtn = document.getElementById("pinMeterBtn");
+  const meterPinsEl = document.getElementById("meterPins");
+  const midiTempoSel = document.getElementById("midiTempoSel");
+  const midiMarkersChk = document.getElementById("midiMarkersChk");
+  const midiNotesChk = document.getElementById("midiNotesChk");
+  const importInput = document.getElementById("importInput");
+  const importInfoEl = document.getElementById("importInfo");
+  const saveProjectBtn = document.getElementById("saveProjectBtn");
+  const projectInput = document.getElementById("projectInput");
+  const projectInfoEl = document.getElementById("projectInfo");
+  const tcStartEl = document.getElementById("tcStart");
+  const tcRateSel = document.getElementById("tcRate");
+  const markerDownNameEl = document.getElementById("markerDownName");
+  const markerOtherNameEl = document.getElementById("markerOtherName");
+  const downAppNameEl = document.getElementById("downAppName");
+  const downAppColorEl = document.getElementById("downAppColor");
+  const otherAppNameEl = document.getElementById("otherAppName");
+  const otherAppColorEl = document.getElementById("otherAppColor");
+  const markerDurModeSel = document.getElementById("markerDurMode");
+  const markerDurValEl = document.getElementById("markerDurVal");
+  const markerDurUnitEl = document.getElementById("markerDurUnit");
+  const sectionNameEl = document.getElementById("sectionName");
+  const sectionFromEl = document.getElementById("sectionFrom");
+  const sectionToEl = document.getElementById("sectionTo");
+  const sectionColorEl = document.getElementById("sectionColor");
+  const addSectionBtn = document.getElementById("addSectionBtn");
+  const sectionFromSelBtn = document.getElementById("sectionFromSelBtn");
+  const sectionListEl = document.getElementById("sectionList");
+  const sectionExportSel = document.getElementById("sectionExport");
+  const sectionTrackGroupEl = document.getElementById("sectionTrackGroup");
+  const regionFromSelBtn = document.getElementById("regionFromSelBtn");
+  const excludeSelBtn = document.getElementById("excludeSelBtn");
+  const clearRegionBtn = document.getElementById("clearRegionBtn");
+  const regionTimesSel = document.getElementById("regionTimes");
+  const regionInfoEl = document.getElementById("regionInfo");
+  const exclusionListEl = document.getElementById("exclusionList");
+  const setlistInput = document.getElementById("setlistInput");
+  const setlistNameEl = document.getElementById("setlistName");
+  const setlistAnalyzeBtn = document.getElementById("setlistAnalyzeBtn");
+  const setlistDownloadBtn = document.getElementById("setlistDownloadBtn");
+  const setlistBody = document.getElementById("setlistBody");
+  const setlistInfoEl = document.getElementById("setlistInfo");
+  const analysisProgressEl = document.getElementById("analysisProgress");
+  const cancelAnalysisBtn = document.getElementById("cancelAnalysisBtn");
 
   if (!fileInput || !processBtn || !canvas || !output) {
     console.error("Missing required DOM elements: fileInput, processBtn, waveform, output");
@@ -27,6 +121,17 @@
   }
   downloadBtn.disabled = true;
 
+  // Same for the MIDI tempo map
+  let midiBtn = document.getElementById("midiBtn");
+  if (!midiBtn) {
+    midiBtn = document.createElement("button");
+    midiBtn.id = "midiBtn";
+    midiBtn.textContent = "Download MIDI";
+    midiBtn.style.marginLeft = "8px";
+    downloadBtn.insertAdjacentElement("afterend", midiBtn);
+  }
+  midiBtn.disabled = true;
+
   // Create scroll slider if not present (bottom navigation)
   let scrollEl = document.getElementById("scroll");
   const scrollValEl = document.getElementById("scrollVal");
@@ -53,6 +158,13 @@
     return;
   }
 
+  const odfCtx = odfCanvas ? odfCanvas.getContext("2d") : null;
+  const tempoCtx = tempoCanvas ? tempoCanvas.getContext("2d") : null;
+  const minimapCtx = minimapCanvas ? minimapCanvas.getContext("2d") : null;
+  // markers and the playhead on their own layer over the waveform, so selecting, dragging a
+  // marker or playing only redraws those (without the layer they share the waveform canvas)
+  const markerCtx = markerCanvas ? markerCanvas.getContext("2d") : null;
+
   // Tooltip (hover beat info)
   let tooltip = document.getElementById("beatTooltip");
   if (!tooltip) {
@@ -75,18 +187,101 @@
   const audioCtx = new (window.AudioContext || window.webkitAudioContext)();
 
   // ---------- STATE ----------
+  // Detection, grid and export logic (and their defaults) live in beatgrid-core.js, which the
+  // analysis worker and the command line tool run too.
+  const {
+    DEFAULT_DETECTION,
+    DEFAULT_CLASSIFIER,
+    DEFAULT_REGULARIZE,
+    DEFAULT_TIMECODE,
+    DEFAULT_MARKER_STYLE,
+    PROJECT_FORMAT,
+    PROJECT_VERSION,
+    PROJECT_BEAT_FIELDS,
+    DEFAULT_AREA,
+    parabolicOffset,
+    refinedPeakTimeSeconds,
+    onsetEnvelope,
+    adaptiveThreshold,
+    pickOnsets,
+    detectClicks,
+    detectClickOnsets,
+    areaIsSet,
+    inAnalysisArea,
+    maskOnsetEnvelope,
+    areaBreaks,
+    rebaseGrid,
+    bandpassFilter,
+    fftInPlace,
+    analyzeSpectrum,
+    analyzeCentroid,
+    clickLevelDb,
+    channelLabel,
+    pickAnalysisChannel,
+    lowerBoundBeat,
+    refineDownbeatsByBarGrid,
+    annotateBars,
+    fitSummary,
+    buildClickGrid,
+    TC_RATES,
+    parseTimecode,
+    framesToTimecode,
+    luaQuote,
+    beatTableRows,
+    buildLuaFromSongs,
+    buildLuaFromClickBeats,
+    splitLuaIntoBase64Blocks,
+    buildXmlWithLuaBase64,
+    parseBeatImporterXml,
+    buildMidiTempoMap,
+    parseMidiTempoMap,
+    parseBeatCsv
+  } = BeatGridCore;
+
   let state = {
     audioBuffer: null,
-    samples: null,
+    sourceFile: null, // File the audioBuffer was decoded from
+    samples: null, // analyzed samples: one channel or the mono sum
+    analysisChannel: 0, // channel index behind samples, -1 = sum of all channels
+    samplesPeak: 0, // largest |sample|, cached for snapping
     sampleRate: 44100,
     fileBaseName: "click-track",
-    beats: [], // chronological list: {time, centroid, downbeat, bpm, tempoOut}
+    beats: [], // chronological list: {time, centroid, downbeat, bpm, tempoOut, bar, beatInBar, meter}
+    beatsPerBar: 4, // most common bar length from refineDownbeatsByBarGrid
+    meterPins: [], // hand-pinned meters: [{start, end, beatsPerBar, fromBar, toBar}] (seconds)
+    sections: [], // song structure, snapped to downbeats: [{start, end, name, color}] (seconds)
+    // how the plugin writes sections: "none", "separate" (own track group) or "mixed" (beat grid)
+    sectionExport: { mode: "separate", trackGroup: 2 },
     // waveform view:
-    zoom: zoomEl ? Number(zoomEl.value) : 1, // 1..20
+    zoom: 1, // 1 (whole timeline) .. maxZoom() (a few samples across the canvas)
     scroll: 0, // 0..1
     // overlay hit-testing:
     markerXs: [], // [{x, beatIndex}]
-    selectedBeatIndex: -1
+    selectedBeatIndex: -1,
+    // canvas drag in progress: {kind: "marker"|"select"|"pan", beatIndex|anchor|view, startX, moved}
+    drag: null,
+    suppressClick: false, // swallow the click that ends a drag
+    // loop selection in seconds: {start, end}
+    selection: null,
+    detection: { ...DEFAULT_DETECTION },
+    // what of the file is analyzed and exported (see ANALYSIS REGION)
+    area: { ...DEFAULT_AREA, exclusions: [] },
+    // live detection preview for the analyzed samples: {source, samples, rawEnv, env, thr, clicks}
+    detectionPreview: null,
+    // optional band-pass ahead of detection, and its cached output
+    bandpass: { enabled: false, low: 500, high: 6000 },
+    filteredCache: null,
+    // the grid an imported tempo map replaced (or the detected clicks), drawn for comparison
+    compareBeats: null, // [{time, downbeat}]
+    // song start on the show's timecode; beat times stay relative to the audio file
+    timecode: { ...DEFAULT_TIMECODE },
+    markerStyle: { ...DEFAULT_MARKER_STYLE },
+    // tempo from fitted steady/ramp segments instead of beat-to-beat (see GRID REGULARIZATION)
+    regularize: { ...DEFAULT_REGULARIZE },
+    // how analysis picks preliminary downbeats (see DOWNBEAT CLASSIFIERS)
+    classifier: { ...DEFAULT_CLASSIFIER },
+    // grid QA findings for the current beats (see GRID QA), rebuilt with every grid change
+    qaIssues: []
   };
 
   // Initialize slider readouts (if present)
@@ -98,6 +293,9 @@
   const fmt3 = (n) => (Math.round(n * 1000) / 1000).toFixed(3);
   const fmt1 = (n) => (Math.round(n * 10) / 10).toFixed(1);
 
+  // seconds → "+0.12ms"
+  const formatResidual = (sec) => `${sec >= 0 ? "+" : "−"}${Math.abs(sec * 1000).toFixed(2)}ms`;
+
   function baseFileName(name) {
     return (name || "click-track").replace(/\.(wav|mp3)$/i, "");
   }
@@ -112,364 +310,1083 @@
     });
   }
 
-  // Avoid "Maximum call stack size exceeded" by NOT using Math.max(...bigArray)
-  function maxAbs(samples) {
-    let m = 0;
-    for (let i = 0; i < samples.length; i++) {
-      const v = Math.abs(samples[i]);
-      if (v > m) m = v;
+  // ---------- BAND-PASS CLICK ISOLATION ----------
+  // Band around the strongest spectral peak (150Hz up), out to where it falls 12dB below
+  // the peak, widened by an octave each side so the other click tone usually fits too.
+  function clickBandFromSpectrum(freqDataDb, sr, fftSize) {
+    const binHz = sr / fftSize;
+    const startBin = Math.max(1, Math.floor(150 / binHz));
+    let peak = startBin;
+    for (let i = startBin; i < freqDataDb.length; i++) {
+      if (freqDataDb[i] > freqDataDb[peak]) peak = i;
     }
-    return m;
-  }
 
-  // Sub-sample peak refinement using a parabola through 3 points.
-  // Returns an offset in samples (typically in [-0.5, 0.5]).
-  function parabolicOffset(yPrev, y0, yNext) {
-    const denom = (yPrev - 2 * y0 + yNext);
-    if (denom === 0) return 0;
-    return 0.5 * (yPrev - yNext) / denom;
-  }
-  
-  // Given samples and an integer peak index p, return refined peak time in seconds.
-  function refinedPeakTimeSeconds(samples, p, sr) {
-    // Need p-1 and p+1 valid
-    if (p <= 0 || p >= samples.length - 1) return p / sr;
-  
-    const yPrev = Math.abs(samples[p - 1]);
-    const y0    = Math.abs(samples[p]);
-    const yNext = Math.abs(samples[p + 1]);
-  
-    const off = parabolicOffset(yPrev, y0, yNext); // fractional samples
-    return (p + off) / sr;
+    const floorDb = freqDataDb[peak] - 12;
+    let lo = peak, hi = peak;
+    while (lo > startBin && freqDataDb[lo - 1] >= floorDb) lo--;
+    while (hi < freqDataDb.length - 1 && freqDataDb[hi + 1] >= floorDb) hi++;
+
+    return {
+      low: Math.max(20, Math.round((lo * binHz) / 2)),
+      high: Math.min(Math.round(sr * 0.45), Math.round(hi * binHz * 2))
+    };
   }
 
-  function detectClicks(samples, sr) {
-  const m = maxAbs(samples);
-  const threshold = m * 0.35; // tweakable
-  const minGap = 0.08;        // seconds
+  // Samples the detector runs on: the analyzed channel, band-passed when isolation is on.
+  // The filtered copy is cached until the channel or the band changes.
+  function detectionSamples() {
+    const samples = state.samples;
+    const bp = state.bandpass;
+    if (!samples || !bp.enabled) return samples;
+
+    const cached = state.filteredCache;
+    if (cached && cached.samples === samples && cached.low === bp.low && cached.high === bp.high) return cached.data;
+    const data = bandpassFilter(samples, state.sampleRate, bp.low, bp.high);
+    state.filteredCache = { samples, low: bp.low, high: bp.high, data };
+    return data;
+  }
 
-  // Search forward after a threshold hit to find the true peak
-  const peakSearchMs = 8; // 6–12ms typical
-  const peakSearch = Math.max(1, Math.floor((peakSearchMs / 1000) * sr));
+  // ---------- GRID REGULARIZATION ----------
+  // The segment fits are in beatgrid-core.js (fittedTempoOutputs); the tempo outputs here
+  // follow the editor's setting and analysis area
+  const computeTempoOutputs = (beats, regularize = state.regularize, area = state.area) => BeatGridCore.computeTempoOutputs(beats, regularize, area);
+
+  function renderFitInfo() {
+    const summary = state.regularize.enabled ? fitSummary(state.beats) : null;
+    if (snapFitBtn) snapFitBtn.disabled = !summary || summary.maxMs === 0;
+    if (!fitInfoEl) return;
+    fitInfoEl.textContent = summary
+      ? `${summary.segments} segment${summary.segments === 1 ? "" : "s"} (${summary.ramps} ramp${summary.ramps === 1 ? "" : "s"}) · residual max ${summary.maxMs.toFixed(2)}ms, RMS ${summary.rmsMs.toFixed(2)}ms`
+      : "";
+  }
 
-  const clicks = [];
-  let last = -Infinity;
+  // Tolerance or on/off changed: recompute tempo outputs for the grid (a setting, not an edit)
+  function applyRegularization() {
+    state.beats = computeTempoOutputs(state.beats);
+    refreshBeatViews();
+  }
 
-  for (let i = 0; i < samples.length; i++) {
-    const v = Math.abs(samples[i]);
-    if (v < threshold) continue;
+  function snapBeatsToFit() {
+    if (!state.regularize.enabled || !state.beats.some(b => b.fitTime != null)) return;
+    const selected = selectedBeat();
+    const snapped = state.beats.map(b => (b.fitTime != null ? { ...b, time: b.fitTime } : b));
+    setBeats(snapped, selected ? snapped[state.selectedBeatIndex] : null, "Snap beats to tempo fit");
+  }
 
-    const roughT = i / sr;
-    if (roughT - last <= minGap) continue;
+  // ---------- DOWNBEAT CLASSIFIERS ----------
+  // classifyDownbeats (beatgrid-core.js) runs on analysis; these relabel an existing grid
+  function classifierLabel(classifier = state.classifier) {
+    if (classifier.mode === "meter") return `meter (every ${classifier.meter})`;
+    if (classifier.mode === "volume") return "volume";
+    return `pitch (${classifier.tones} tones)`;
+  }
 
-    // 1) Find the strongest peak shortly after the crossing
-    const end = Math.min(samples.length - 2, i + peakSearch);
-    let p = i;
-    let best = Math.abs(samples[i]);
+  // Re-run the classifier on the current grid (an undo step). Beats without click features
+  // (added by hand, imported) are measured from the audio when there is some.
+  function reclassifyGrid() {
+    if (!state.beats.length) return;
+    const samples = state.samples;
+    const sr = state.sampleRate;
+    const events = state.beats.map(b => ({
+      ...b,
+      centroid: b.centroid || (samples ? analyzeCentroid(samples, sr, b.time) : 0),
+      level: b.level ?? (samples ? clickLevelDb(samples, sr, b.time) : undefined)
+    }));
+    const grid = buildClickGrid(events, { classifier: state.classifier, meterPins: state.meterPins, area: state.area });
+    if (downbeatInfoEl) downbeatInfoEl.textContent = grid.note;
+    state.beatsPerBar = grid.beatsPerBar;
+    setBeats(grid.beats, null, `Downbeats by ${classifierLabel()}`);
+  }
 
-    for (let k = i + 1; k <= end; k++) {
-      const a = Math.abs(samples[k]);
-      if (a > best) {
-        best = a;
-        p = k;
+  // ---------- BEAT TRACKING (music mixes) ----------
+  // For songs with no click: spectral-flux onset strength → autocorrelation tempo estimate
+  // → dynamic-programming beat tracker (Ellis 2007). Produces the same beat objects as the
+  // click path, plus a per-beat confidence.
+
+  // Log-magnitude spectral flux per 10ms hop, detrended and scaled to unit std.
+  // `low` is the same flux restricted to < 200Hz (kick/bass), used to place downbeats.
+  function onsetStrength(samples, sr) {
+    const N = 2048;
+    const hop = Math.max(1, Math.round(sr * 0.01));
+    const frames = Math.max(0, Math.floor((samples.length - N) / hop) + 1);
+    const bins = N / 2;
+    const lowBin = Math.max(1, Math.round(200 / (sr / N)));
+
+    const win = new Float64Array(N);
+    for (let i = 0; i < N; i++) win[i] = 0.5 - 0.5 * Math.cos((2 * Math.PI * i) / N);
+
+    const re = new Float64Array(N);
+    const im = new Float64Array(N);
+    let prev = new Float64Array(bins);
+    let cur = new Float64Array(bins);
+    const flux = new Float32Array(frames);
+    const low = new Float32Array(frames);
+
+    for (let j = 0; j < frames; j++) {
+      const base = j * hop;
+      for (let i = 0; i < N; i++) { re[i] = samples[base + i] * win[i]; im[i] = 0; }
+      fftInPlace(re, im);
+
+      let f = 0, fl = 0;
+      for (let k = 1; k < bins; k++) {
+        cur[k] = Math.log(1 + 100 * Math.hypot(re[k], im[k]));
+        const d = cur[k] - prev[k];
+        if (d > 0 && j > 0) {
+          f += d;
+          if (k < lowBin) fl += d;
+        }
       }
+      flux[j] = f;
+      low[j] = fl;
+      const t = prev; prev = cur; cur = t;
     }
 
-    // 2) Refine peak to sub-sample precision
-    const refinedT = refinedPeakTimeSeconds(samples, p, sr);
-
-    clicks.push(refinedT);
-    last = refinedT;
+    // subtract a ~0.5s moving average, half-wave rectify, normalize
+    const radius = 25;
+    const out = new Float32Array(frames);
+    let sum = 0, sumSq = 0;
+    for (let j = 0; j < Math.min(frames, radius); j++) sum += flux[j];
+    let acc = 0;
+    for (let j = 0; j < frames; j++) {
+      const add = j + radius, drop = j - radius - 1;
+      if (add < frames) sum += flux[add];
+      if (drop >= 0) sum -= flux[drop];
+      const count = Math.min(frames - 1, add) - Math.max(0, j - radius) + 1;
+      const v = flux[j] - sum / count;
+      out[j] = v > 0 ? v : 0;
+      acc += out[j];
+      sumSq += out[j] * out[j];
+    }
+    const mean = frames ? acc / frames : 0;
+    const std = frames ? Math.sqrt(Math.max(1e-12, sumSq / frames - mean * mean)) : 1;
+    for (let j = 0; j < frames; j++) out[j] /= std;
 
-    // 3) Skip ahead a bit so we don't re-trigger on the same click tail
-    i = p + Math.floor(0.002 * sr); // 2ms
+    // frame j is centred N/2 samples after its start
+    return { hop, frameSize: N, flux: out, low, frameTime: (j) => (j * hop + N / 2) / sr };
   }
 
-  return clicks;
-}
-
-
-  function spectralCentroid(freqDataDb, sampleRate, fftSize) {
-    // Compute centroid in a useful band to avoid “everything ~7400Hz”:
-    // ignore bins < ~150Hz and > ~8000Hz and ignore ultra-low magnitudes.
-    const nyquist = sampleRate / 2;
-    const binHz = sampleRate / fftSize;
-
-    const lowHz = 150;
-    const highHz = Math.min(8000, nyquist);
-
-    const startBin = Math.floor(lowHz / binHz);
-    const endBin = Math.min(freqDataDb.length - 1, Math.floor(highHz / binHz));
-
-    let weightedSum = 0;
-    let magSum = 0;
-
-    for (let i = startBin; i <= endBin; i++) {
-      const db = freqDataDb[i];
-      // Ignore extremely quiet bins
-      if (db < -80) continue;
-
-      const mag = Math.pow(10, db / 20); // dB → linear
-      const freq = i * binHz;
-
-      weightedSum += freq * mag;
-      magSum += mag;
+  // Global tempo from the onset autocorrelation, weighted toward 120 BPM (log-Gaussian,
+  // one octave wide) to settle half/double-time ambiguity. Returns the period in frames.
+  function estimateTempo(flux, hopSec, minBpm = 40, maxBpm = 240) {
+    const n = flux.length;
+    const minLag = Math.max(1, Math.floor(60 / maxBpm / hopSec));
+    const maxLag = Math.min(n - 1, Math.ceil(60 / minBpm / hopSec));
+    const weighted = new Float64Array(maxLag + 2);
+
+    let bestLag = -1;
+    for (let lag = minLag; lag <= maxLag; lag++) {
+      let ac = 0;
+      for (let i = 0; i + lag < n; i++) ac += flux[i] * flux[i + lag];
+      ac /= (n - lag);
+      const bpm = 60 / (lag * hopSec);
+      const prior = Math.exp(-0.5 * Math.pow(Math.log2(bpm / 120), 2));
+      weighted[lag] = ac * prior;
+      if (bestLag < 0 || weighted[lag] > weighted[bestLag]) bestLag = lag;
     }
+    if (bestLag < 0) return { bpm: 120, period: 0.5 / hopSec };
 
-    return magSum ? (weightedSum / magSum) : 0;
+    let period = bestLag;
+    if (bestLag > minLag && bestLag < maxLag) {
+      period += parabolicOffset(weighted[bestLag - 1], weighted[bestLag], weighted[bestLag + 1]);
+    }
+    return { bpm: 60 / (period * hopSec), period };
   }
 
-  async function analyzeCentroid(samples, sr, time) {
-    const size = 2048;
-    const start = Math.floor(time * sr);
-    if (start + size >= samples.length) return 0;
-
-    const offline = new OfflineAudioContext(1, size, sr);
-    const buf = offline.createBuffer(1, size, sr);
+  // Dynamic-programming beat tracker: every frame's best predecessor 0.5–2 periods back,
+  // penalized by squared log deviation from the period. Returns beat frame indices.
+  function trackBeatFrames(flux, period, tightness = 100) {
+    const n = flux.length;
+    if (n === 0 || !(period > 0)) return [];
+    const score = new Float64Array(n);
+    const back = new Int32Array(n).fill(-1);
+    const lo = Math.max(1, Math.round(period / 2));
+    const hi = Math.max(lo, Math.round(period * 2));
+
+    for (let t = 0; t < n; t++) {
+      let best = -Infinity, arg = -1;
+      for (let p = Math.max(0, t - hi); p <= t - lo; p++) {
+        const dev = Math.log((t - p) / period);
+        const v = score[p] - tightness * dev * dev;
+        if (v > best) { best = v; arg = p; }
+      }
+      if (arg >= 0 && best > 0) {
+        score[t] = flux[t] + best;
+        back[t] = arg;
+      } else {
+        score[t] = flux[t];
+      }
+    }
 
-    // Copy window
-    const windowed = samples.slice(start, start + size);
-    buf.copyToChannel(windowed, 0);
+    // last beat: best score within the final period
+    let last = Math.max(0, n - Math.round(period));
+    for (let t = last; t < n; t++) if (score[t] > score[last]) last = t;
 
-    const src = offline.createBufferSource();
-    const analyser = offline.createAnalyser();
-    analyser.fftSize = size;
+    const frames = [];
+    for (let t = last; t >= 0; t = back[t]) frames.push(t);
+    return frames.reverse();
+  }
 
-    src.buffer = buf;
-    src.connect(analyser);
-    analyser.connect(offline.destination);
-    src.start(0);
+  // Full mix → [{time, centroid, downbeat, confidence}]
+  function trackMixBeats(samples, sr) {
+    const os = onsetStrength(samples, sr);
+    const { flux, low } = os;
+    const hopSec = os.hop / sr;
+    const { period } = estimateTempo(flux, hopSec);
+    let frames = trackBeatFrames(flux, period);
+
+    // trim beats in silence/fades at either end
+    let rms = 0;
+    for (let j = 0; j < flux.length; j++) rms += flux[j] * flux[j];
+    rms = Math.sqrt(rms / Math.max(1, flux.length));
+    const strength = (j) => Math.max(flux[j - 1] || 0, flux[j], flux[j + 1] || 0);
+    while (frames.length && strength(frames[0]) < 0.5 * rms) frames.shift();
+    while (frames.length && strength(frames[frames.length - 1]) < 0.5 * rms) frames.pop();
+    if (frames.length === 0) return [];
+
+    // downbeats: assume 4/4 and take the phase with the most low-end (kick) onset energy
+    let phase = 0, phaseBest = -Infinity;
+    for (let ph = 0; ph < 4; ph++) {
+      let sum = 0;
+      for (let i = ph; i < frames.length; i += 4) sum += low[frames[i]];
+      if (sum > phaseBest) { phaseBest = sum; phase = ph; }
+    }
 
-    await offline.startRendering();
+    // snap each beat onto the sharpest transient within ±35ms (1ms onset envelope)
+    const env = onsetEnvelope(samples, sr);
+    const snapRadius = Math.round(0.035 * sr / env.hop);
 
-    const freqData = new Float32Array(analyser.frequencyBinCount);
-    analyser.getFloatFrequencyData(freqData);
+    return frames.map((j, i) => {
+      let time = os.frameTime(j);
+      const c = Math.round((time * sr) / env.hop);
+      let bestJ = -1;
+      for (let k = Math.max(1, c - snapRadius); k <= Math.min(env.odf.length - 1, c + snapRadius); k++) {
+        if (bestJ < 0 || env.odf[k] > env.odf[bestJ]) bestJ = k;
+      }
+      if (bestJ > 0 && env.odf[bestJ] > 0) time = ((bestJ - 1) * env.hop) / sr;
+
+      // confidence: onset strength at the beat (2σ = full) × how close its spacing is to the period
+      const s = clamp(strength(j) / 2, 0, 1);
+      const gaps = [];
+      if (i > 0) gaps.push(j - frames[i - 1]);
+      if (i < frames.length - 1) gaps.push(frames[i + 1] - j);
+      let r = 1;
+      for (const g of gaps) {
+        const dev = Math.log(g / period) / 0.1;
+        r = Math.min(r, Math.exp(-0.5 * dev * dev));
+      }
 
-    return spectralCentroid(freqData, sr, size);
+      return {
+        time,
+        centroid: 0,
+        downbeat: ((i - phase) % 4 === 0) ? 1 : 0,
+        confidence: Math.round(s * r * 100) / 100
+      };
+    });
   }
 
-  // Simple 2-means clustering on centroid (more stable than median split)
-  function kmeans2(values) {
-    if (values.length < 2) return { c1: values[0] || 0, c2: values[0] || 0 };
-
-    let min = Infinity, max = -Infinity;
-    for (const v of values) { if (v < min) min = v; if (v > max) max = v; }
-    let c1 = min, c2 = max;
-
-    for (let iter = 0; iter < 20; iter++) {
-      let s1 = 0, n1 = 0, s2 = 0, n2 = 0;
+  // ---------- CHANNELS ----------
+  // The file picked for analysis is decoded right away so its channels can be chosen before
+  // the first Analyze; loading it then takes this decode instead of starting another
+  let pickedDecode = null; // {file, promise of its AudioBuffer}
 
-      for (const v of values) {
-        if (Math.abs(v - c1) <= Math.abs(v - c2)) { s1 += v; n1++; }
-        else { s2 += v; n2++; }
-      }
+  function decodePicked(file) {
+    if (!pickedDecode || pickedDecode.file !== file) {
+      const picked = { file, promise: decode(file) };
+      picked.promise.catch(() => { if (pickedDecode === picked) pickedDecode = null; }); // try again next time
+      pickedDecode = picked;
+    }
+    return pickedDecode.promise;
+  }
 
-      const nc1 = n1 ? (s1 / n1) : c1;
-      const nc2 = n2 ? (s2 / n2) : c2;
+  async function listChannelsOf(file) {
+    try {
+      const buffer = await decodePicked(file);
+      if (fileInput.files[0] === file) populateChannelOptions(buffer.numberOfChannels);
+    } catch (err) {
+      // Analyze reports it
+    }
+  }
 
-      if (Math.abs(nc1 - c1) < 1e-6 && Math.abs(nc2 - c2) < 1e-6) break;
-      c1 = nc1; c2 = nc2;
+  // Rebuild "Channel N" options for the decoded file, keeping the current choice when possible
+  function populateChannelOptions(count) {
+    if (!channelSel) return;
+    const prev = channelSel.value;
+    for (const opt of [...channelSel.options]) {
+      if (opt.value !== "auto" && opt.value !== "mix") opt.remove();
+    }
+    for (let c = 0; c < count; c++) {
+      const opt = document.createElement("option");
+      opt.value = String(c);
+      opt.textContent = channelLabel(c, count);
+      channelSel.appendChild(opt);
     }
+    channelSel.value = [...channelSel.options].some(o => o.value === prev) ? prev : "auto";
+  }
 
-    return { c1, c2 };
+  function describeChannelPick(pick, count) {
+    if (pick.channel === -1) return `Analyzing: sum of ${count} channels`;
+    const name = channelLabel(pick.channel, count);
+    if (!pick.scores) return `Analyzing: ${name}`;
+    const all = pick.scores.map((sc, c) => `${channelLabel(c, count)} ${sc.toFixed(2)}`).join(", ");
+    return `Auto-detected click on ${name} (scores: ${all})`;
   }
 
-  // Beats-per-bar autodetect + refine downbeats to an isochronous bar grid
-  function refineDownbeatsByBarGrid(beats) {
-    // beats are chronological, each has centroid and preliminary downbeat
-    const n = beats.length;
-    if (n < 8) return { beatsPerBar: 4, beats };
-
-    // Candidate beatsPerBar between 2 and 12
-    const candidates = [];
-    for (let bpb = 2; bpb <= 12; bpb++) candidates.push(bpb);
-
-    // Score each bpb by best phase alignment with preliminary downbeats
-    const prelim = beats.map(b => b.downbeat ? 1 : 0);
-
-    let best = { bpb: 4, phase: 0, score: -Infinity };
-    for (const bpb of candidates) {
-      for (let phase = 0; phase < bpb; phase++) {
-        let score = 0;
-        for (let i = 0; i < n; i++) {
-          const gridDown = ((i - phase) % bpb === 0) ? 1 : 0;
-          // Reward agreement, mildly penalize disagreement
-          if (gridDown === prelim[i]) score += 2;
-          else score -= 1;
-        }
-        if (score > best.score) best = { bpb, phase, score };
+  // ---------- PEAK CACHE ----------
+  // A min/max pyramid per sample array, built once after decode: level 0 holds one min/max per
+  // PEAK_BLOCK samples and each level above halves the one below. Any sample range is then its
+  // ragged ends read sample by sample plus a few blocks, so a pixel column costs about the
+  // same at every zoom, even on an hour-long show file.
+  const PEAK_BLOCK = 64;
+  const peakPyramids = new WeakMap(); // samples → [{min, max}], finest level first
+
+  function peakPyramid(samples) {
+    let levels = peakPyramids.get(samples);
+    if (levels) return levels;
+
+    const blocks = Math.ceil(samples.length / PEAK_BLOCK);
+    let level = { min: new Float32Array(blocks), max: new Float32Array(blocks) };
+    for (let b = 0; b < blocks; b++) {
+      let min = Infinity, max = -Infinity;
+      const end = Math.min(samples.length, (b + 1) * PEAK_BLOCK);
+      for (let i = b * PEAK_BLOCK; i < end; i++) {
+        const v = samples[i];
+        if (v < min) min = v;
+        if (v > max) max = v;
       }
+      level.min[b] = min;
+      level.max[b] = max;
     }
-
-    // Apply best grid
-    const out = beats.map((b, i) => ({
-      ...b,
-      downbeat: ((i - best.phase) % best.bpb === 0) ? 1 : 0
-    }));
-
-    return { beatsPerBar: best.bpb, beats: out };
+    levels = [level];
+    while (level.min.length > 1) {
+      const below = level;
+      const n = Math.ceil(below.min.length / 2);
+      level = { min: new Float32Array(n), max: new Float32Array(n) };
+      for (let b = 0; b < n; b++) {
+        const j = Math.min(2 * b + 1, below.min.length - 1);
+        level.min[b] = Math.min(below.min[2 * b], below.min[j]);
+        level.max[b] = Math.max(below.max[2 * b], below.max[j]);
+      }
+      levels.push(level);
+    }
+    peakPyramids.set(samples, levels);
+    return levels;
   }
 
-  // Forward-looking BPM (segment tempo), but beatTable emits changes vs PREVIOUS segment.
-  // Beat 0 always emits.
-  // Uses high-res tempo internally; rounds to 1 decimal only for output/display.
-  function computeTempoOutputs(beats) {
-    const segTempoRaw = (i) => {
-      if (i < 0 || i >= beats.length - 1) return 0; // last beat has no next interval
-      const dt = beats[i + 1].time - beats[i].time;
-      return dt > 0 ? (60 / dt) : 0; // <-- NO rounding here
-    };
-  
-    const segTempoOut = (i) => {
-      const raw = segTempoRaw(i);
-      return raw ? Number(fmt1(raw)) : 0; // <-- round only for output
-    };
-  
-    return beats.map((b, i) => {
-      const isLast = (i === beats.length - 1);
-  
-      // high-res segment tempo starting at this beat
-      const thisRaw = isLast ? 0 : segTempoRaw(i);
-      const thisOut = isLast ? 0 : segTempoOut(i);
-  
-      // bpm field for tooltip: keep same 1-decimal output, but compute avg using raw
-      let bpmOut = thisOut;
-      if (!isLast && i === 0 && beats.length > 1) {
-        const lastIdx = Math.min(3, beats.length - 1); // 4 clicks
-        const intervals = lastIdx;
-        const totalDt = beats[lastIdx].time - beats[0].time;
-        const avgDt = intervals > 0 ? (totalDt / intervals) : 0;
-        const avgRaw = avgDt > 0 ? (60 / avgDt) : 0;
-        bpmOut = avgRaw ? Number(fmt1(avgRaw)) : thisOut;
-      }
-  
-      // beatTable tempo change emission:
-      // Keep your existing rule: emit 0 if change within 1 BPM.
-      // BUT evaluate change using high-res raw tempo (not rounded-to-0.1 first).
-      let beatTableTempo = 0;
-  
-      if (isLast) {
-        beatTableTempo = 0;
-      } else if (i === 0) {
-        beatTableTempo = thisOut; // beat 0 always announces (1 decimal)
-      } else {
-        const prevRaw = segTempoRaw(i - 1);
-        const sameEnough = (prevRaw && Math.abs(thisRaw - prevRaw) <= 1); // <-- high-res compare
-        beatTableTempo = sameEnough ? 0 : thisOut; // <-- output stays 1 decimal
+  // Exact {min, max} of samples[i0..i1) (i1 > i0)
+  function peakRange(samples, i0, i1) {
+    let min = Infinity, max = -Infinity;
+    // ragged ends up to the first and after the last whole block
+    const a = Math.min(i1, Math.ceil(i0 / PEAK_BLOCK) * PEAK_BLOCK);
+    const b = Math.max(a, Math.floor(i1 / PEAK_BLOCK) * PEAK_BLOCK);
+    for (let i = i0; i < a; i++) {
+      const v = samples[i];
+      if (v < min) min = v;
+      if (v > max) max = v;
+    }
+    for (let i = b; i < i1; i++) {
+      const v = samples[i];
+      if (v < min) min = v;
+      if (v > max) max = v;
+    }
+
+    // whole blocks: climb the pyramid, taking an odd block at either end before halving
+    const levels = peakPyramid(samples);
+    let lo = a / PEAK_BLOCK, hi = b / PEAK_BLOCK;
+    for (let k = 0; lo < hi; k++) {
+      const level = levels[k];
+      if (lo & 1) {
+        if (level.min[lo] < min) min = level.min[lo];
+        if (level.max[lo] > max) max = level.max[lo];
+        lo++;
       }
-  
-      return {
-        ...b,
-        bpm: bpmOut,                 // 1 decimal, same as before
-        tempoOut: beatTableTempo,    // 1 decimal or 0, same as before
-        beatTableTempo               // 1 decimal or 0, same as before
-      };
-    });
+      if (hi & 1) {
+        hi--;
+        if (level.min[hi] < min) min = level.min[hi];
+        if (level.max[hi] > max) max = level.max[hi];
+      }
+      lo >>= 1;
+      hi >>= 1;
+    }
+    return { min, max };
   }
 
+  // Largest |sample|, from the top of the pyramid
+  function pyramidPeak(samples) {
+    if (!samples.length) return 0;
+    const levels = peakPyramid(samples);
+    const top = levels[levels.length - 1];
+    return Math.max(Math.abs(top.min[0]), Math.abs(top.max[0]));
+  }
 
   // ---------- WAVEFORM VIEW (zoom + scroll) ----------
-function resizeCanvas() {
+function resizeCanvas(cv = canvas, c2d = ctx2d) {
   // Use actual pixel size for crisp drawing (CSS pixels * devicePixelRatio)
-  const rect = canvas.getBoundingClientRect();
+  const rect = cv.getBoundingClientRect();
   const dpr = window.devicePixelRatio || 1;
 
-  canvas.width = Math.max(1, Math.floor(rect.width * dpr));
-  canvas.height = Math.max(1, Math.floor(rect.height * dpr));
+  cv.width = Math.max(1, Math.floor(rect.width * dpr));
+  cv.height = Math.max(1, Math.floor(rect.height * dpr));
 
   // Draw using CSS pixel coordinates
-  ctx2d.setTransform(dpr, 0, 0, dpr, 0, 0);
+  c2d.setTransform(dpr, 0, 0, dpr, 0, 0);
 }
 
 
+  // Timeline length in samples: the audio, or (imported grid, no audio) the beats plus a second
+  function timelineLength() {
+    if (state.samples) return state.samples.length;
+    const beats = state.beats;
+    return beats.length ? Math.ceil((beats[beats.length - 1].time + 1) * state.sampleRate) : 0;
+  }
+
+  // Deepest zoom: this many samples across the canvas, enough to see single samples and
+  // where the refined click peak falls between them
+  const MIN_VIEW_SAMPLES = 32;
+
+  function maxZoom() {
+    return Math.max(1, timelineLength() / MIN_VIEW_SAMPLES);
+  }
+
   function getViewRange() {
-    const samples = state.samples;
-    if (!samples) return { start: 0, end: 0 };
+    const total = timelineLength();
+    if (!total) return { start: 0, end: 0 };
 
-    const total = samples.length;
-    const zoom = clamp(state.zoom || 1, 1, 50);
+    const zoom = clamp(state.zoom || 1, 1, maxZoom());
     const viewLen = Math.max(1, Math.floor(total / zoom));
 
     const scroll = clamp(state.scroll || 0, 0, 1);
     const maxStart = Math.max(0, total - viewLen);
-    const start = Math.floor(scroll * maxStart);
+    const start = Math.floor(scroll * maxStart + 1e-6);
     const end = Math.min(total, start + viewLen);
 
     return { start, end };
   }
 
+  // Show viewLen samples from start (both kept inside the timeline); the sliders follow
+  function setViewWindow(start, viewLen) {
+    const total = timelineLength();
+    if (!total) return;
+    const len = clamp(viewLen, total / maxZoom(), total);
+    state.zoom = total / len;
+    const maxStart = Math.max(0, total - Math.floor(len));
+    state.scroll = maxStart ? clamp(start, 0, maxStart) / maxStart : 0;
+    syncZoomSliderToState();
+    syncScrollSliderToState();
+  }
+
+  // Zoom by factor (> 1 in) keeping the time under clientX where it is: wheel and pinch
+  function zoomAt(clientX, factor) {
+    const { start, end } = getViewRange();
+    if (end <= start) return;
+    const rect = canvas.getBoundingClientRect();
+    const frac = clamp((clientX - rect.left) / Math.max(1, rect.width), 0, 1);
+    const anchor = start + frac * (end - start);
+    const total = timelineLength();
+    const len = clamp((end - start) / factor, total / maxZoom(), total);
+    setViewWindow(anchor - frac * len, len);
+    drawWaveformAndOverlay();
+  }
+
+  // Center the view on a time, zooming in (never out) so about spanSec is visible
+  function showTimeInView(time, spanSec) {
+    if (!timelineLength()) return;
+    const { start, end } = getViewRange();
+    const len = Math.min(end - start, Math.max(1, spanSec * state.sampleRate));
+    setViewWindow(time * state.sampleRate - len / 2, len);
+  }
+
+  // "Go to bar N / beat N": center it with a couple of bars (beats) around it, select it and
+  // move the playhead there
+  function jumpToPosition(kind, n) {
+    const beats = state.beats;
+    let index = -1;
+    if (kind === "bar") {
+      index = beats.findIndex(b => b.bar === n && b.beatInBar === 1);
+      if (index === -1) index = beats.findIndex(b => b.bar === n);
+    } else if (n >= 1 && n <= beats.length) {
+      index = n - 1;
+    }
+    if (index === -1 || !Number.isInteger(n)) {
+      const last = kind === "bar" ? ((beats.length && beats[beats.length - 1].bar) || 0) : beats.length;
+      if (jumpInfoEl) jumpInfoEl.textContent = `No ${kind} ${n} (1–${last})`;
+      return false;
+    }
+
+    const beat = beats[index];
+    const beatLen = beat.bpm ? 60 / beat.bpm : 0.5;
+    const span = kind === "bar" ? 2 * beatLen * (beat.meter || 4) : 2 * beatLen;
+    showTimeInView(beat.time, Math.max(span, 0.05));
+    state.selectedBeatIndex = index;
+    if (jumpInfoEl) jumpInfoEl.textContent = `${beat.bar}:${beat.beatInBar} at ${fmt3(beat.time)}s`;
+    updateEditButtons();
+    if (state.audioBuffer) seekTo(beat.time);
+    drawWaveformAndOverlay();
+    return true;
+  }
+
+  // "12×", "3.5×", "48k×"
+  function formatZoom(zoom) {
+    if (zoom >= 10000) return `${Math.round(zoom / 1000)}k×`;
+    return zoom < 10 ? `${fmt1(zoom)}×` : `${Math.round(zoom)}×`;
+  }
+
+  // Which sample arrays the waveform shows: [{data, label, color}]
+  function waveformLanes() {
+    const buffer = state.audioBuffer;
+    const stacked = channelViewSel && channelViewSel.value === "all" && buffer && buffer.numberOfChannels > 1;
+    if (!stacked) return [{ data: state.samples, label: "", color: "#38bdf8" }];
+
+    const lanes = [];
+    for (let c = 0; c < buffer.numberOfChannels; c++) {
+      const analyzed = (c === state.analysisChannel);
+      lanes.push({
+        data: buffer.getChannelData(c),
+        label: channelLabel(c, buffer.numberOfChannels) + (analyzed ? " (analyzed)" : ""),
+        color: (analyzed || state.analysisChannel === -1) ? "#38bdf8" : "#475569"
+      });
+    }
+    return lanes;
+  }
+
+  function drawEnvelope(samples, start, end, w, top, laneH, color) {
+    const viewLen = Math.max(1, end - start);
+    const mid = top + laneH / 2;
+    const half = laneH / 2;
+
+    // zoomed in past a sample per pixel: the samples themselves, joined (and dotted once
+    // they are far enough apart to tell)
+    if (viewLen < w) {
+      const pxPerSample = w / viewLen;
+      const last = Math.min(end, samples.length - 1);
+      ctx2d.beginPath();
+      ctx2d.lineWidth = 1;
+      ctx2d.strokeStyle = color;
+      for (let i = start; i <= last; i++) {
+        const x = (i - start) * pxPerSample;
+        const y = mid + samples[i] * half;
+        if (i === start) ctx2d.moveTo(x, y); else ctx2d.lineTo(x, y);
+      }
+      ctx2d.stroke();
+      if (pxPerSample >= 6) {
+        ctx2d.fillStyle = color;
+        for (let i = start; i <= last; i++) ctx2d.fillRect((i - start) * pxPerSample - 1.5, mid + samples[i] * half - 1.5, 3, 3);
+      }
+      return;
+    }
+
+    // waveform (min/max envelope per pixel, stable across zoom/scroll)
+    // Map each pixel column to an exact sample range using proportional mapping.
+    // This avoids "apparent vertical scaling" caused by missed peaks or bucket drift.
+    // The peak cache answers each range without reading every sample in it.
+    ctx2d.beginPath();
+    ctx2d.lineWidth = 1;
+    ctx2d.strokeStyle = color;
+
+    const wInt = Math.max(1, Math.floor(w));
+    const last = Math.min(end, samples.length);
+    for (let x = 0; x < wInt; x++) {
+      const a = x / wInt;
+      const b = (x + 1) / wInt;
+
+      const i0 = start + Math.floor(a * viewLen);
+      const i1 = Math.min(last, start + Math.floor(b * viewLen));
+      if (i1 <= i0) continue;
+
+      const { min, max } = peakRange(samples, i0, i1);
+      const yMin = mid + min * half;
+      const yMax = mid + max * half;
+      ctx2d.moveTo(x + 0.5, yMin);
+      ctx2d.lineTo(x + 0.5, yMax);
+    }
+    ctx2d.stroke();
+  }
+
+  // At sample level: where refinedPeakTimeSeconds puts each click's peak between the samples,
+  // a ring on the parabola's vertex, and a dotted line when the marker sits elsewhere
+  function drawRefinedPeaks(samples, start, end, timeToX, top, laneH) {
+    const sr = state.sampleRate;
+    const radius = Math.max(1, Math.round(0.0005 * sr));
+    for (const beat of state.beats) {
+      const c = Math.round(beat.time * sr);
+      if (c < start - radius || c > end + radius) continue;
+      let p = clamp(c, 1, samples.length - 2);
+      for (let i = Math.max(1, c - radius); i <= Math.min(samples.length - 2, c + radius); i++) {
+        if (Math.abs(samples[i]) > Math.abs(samples[p])) p = i;
+      }
+      const yPrev = Math.abs(samples[p - 1]), y0 = Math.abs(samples[p]), yNext = Math.abs(samples[p + 1]);
+      const peak = refinedPeakTimeSeconds(samples, p, sr);
+      const amp = y0 - 0.25 * (yPrev - yNext) * parabolicOffset(yPrev, y0, yNext);
+      const x = timeToX(peak);
+      const y = top + laneH / 2 + Math.sign(samples[p]) * amp * laneH / 2;
+
+      ctx2d.strokeStyle = "#f8fafc";
+      ctx2d.lineWidth = 1.5;
+      ctx2d.beginPath();
+      ctx2d.arc(x, y, 4, 0, Math.PI * 2);
+      ctx2d.stroke();
+      if (Math.abs(peak - beat.time) * sr > 0.05) {
+        ctx2d.setLineDash([2, 3]);
+        ctx2d.beginPath();
+        ctx2d.moveTo(x, top);
+        ctx2d.lineTo(x, top + laneH);
+        ctx2d.stroke();
+        ctx2d.setLineDash([]);
+      }
+      ctx2d.fillStyle = "#f8fafc";
+      ctx2d.font = "11px system-ui, sans-serif";
+      ctx2d.fillText(`peak ${peak.toFixed(6)}s`, x + 6, y - 6);
+    }
+  }
+
+  // Everything that follows the view: waveform, markers, the panels under it
   function drawWaveformAndOverlay() {
-    const samples = state.samples;
-    if (!samples) return;
+    if (!timelineLength()) return;
+    drawWaveformLayer();
+    drawMarkerLayer();
+    drawDetectionPreview();
+    drawTempoCurve();
+    drawMinimap();
+    syncZoomSliderToState();
+  }
+
+  // The visible time span mapped onto a canvas of width w
+  function viewGeometry(w) {
+    const { start, end } = getViewRange();
+    const viewStartSec = start / state.sampleRate;
+    const viewEndSec = end / state.sampleRate;
+    const timeToX = (t) => ((t - viewStartSec) / (viewEndSec - viewStartSec)) * w;
+    return { start, end, viewStartSec, viewEndSec, timeToX };
+  }
 
+  // Loop selection, sections, the waveform itself, the analysis area and the comparison grid
+  function drawWaveformLayer() {
+    const samples = state.samples;
+    if (!timelineLength()) return;
     resizeCanvas();
 
     const rect = canvas.getBoundingClientRect();
     const w = rect.width;
     const h = rect.height;
-    const mid = h / 2;
-
-    const { start, end } = getViewRange();
-    const viewLen = Math.max(1, end - start);
+    const { start, end, viewStartSec, viewEndSec, timeToX } = viewGeometry(w);
 
     // background clear
     ctx2d.clearRect(0, 0, w, h);
 
-// waveform (min/max envelope per pixel, stable across zoom/scroll)
-// Map each pixel column to an exact sample range using proportional mapping.
-// This avoids "apparent vertical scaling" caused by missed peaks or bucket drift.
-ctx2d.beginPath();
-ctx2d.lineWidth = 1;
-ctx2d.strokeStyle = "#38bdf8";
-
-const wInt = Math.max(1, Math.floor(w));
-for (let x = 0; x < wInt; x++) {
-  const a = x / wInt;
-  const b = (x + 1) / wInt;
-
-  const i0 = start + Math.floor(a * viewLen);
-  const i1 = Math.min(end, start + Math.floor(b * viewLen));
-
-  let min = 1;
-  let max = -1;
-  for (let i = i0; i < i1; i++) {
-    const v = samples[i] || 0;
-    if (v < min) min = v;
-    if (v > max) max = v;
-  }
-
-  const yMin = mid + min * mid;
-  const yMax = mid + max * mid;
-  ctx2d.moveTo(x + 0.5, yMin);
-  ctx2d.lineTo(x + 0.5, yMax);
-}
-ctx2d.stroke();
+    // selection (loop range) behind the waveform
+    const sel = state.selection;
+    if (sel && sel.end > viewStartSec && sel.start < viewEndSec) {
+      const x0 = clamp(timeToX(sel.start), 0, w);
+      const x1 = clamp(timeToX(sel.end), 0, w);
+      ctx2d.fillStyle = "rgba(59,130,246,0.18)";
+      ctx2d.fillRect(x0, 0, Math.max(1, x1 - x0), h);
+    }
 
+    // song sections: a labelled color strip along the top
+    for (const section of state.sections) {
+      if (section.end <= viewStartSec || section.start >= viewEndSec) continue;
+      const x0 = clamp(timeToX(section.start), 0, w);
+      const x1 = clamp(timeToX(section.end), 0, w);
+      ctx2d.globalAlpha = 0.45;
+      ctx2d.fillStyle = section.color;
+      ctx2d.fillRect(x0, 0, Math.max(1, x1 - x0), 16);
+      ctx2d.globalAlpha = 1;
+      ctx2d.fillStyle = "#f8fafc";
+      ctx2d.font = "11px system-ui, sans-serif";
+      ctx2d.fillText(section.name, x0 + 4, 12);
+    }
 
-    // markers
-    state.markerXs = [];
-    const beats = state.beats;
-    if (!beats || beats.length === 0) return;
+    // waveform: the analyzed samples, or every channel stacked in its own lane
+    const lanes = samples ? waveformLanes() : [];
+    const laneH = h / Math.max(1, lanes.length);
+    lanes.forEach((lane, li) => {
+      drawEnvelope(lane.data, start, end, w, li * laneH, laneH, lane.color);
+      if (lanes.length > 1) {
+        ctx2d.fillStyle = "#94a3b8";
+        ctx2d.font = "11px system-ui, sans-serif";
+        ctx2d.fillText(lane.label, 4, li * laneH + 12);
+      }
+    });
+    if (samples && end - start < w) {
+      const lane = Math.max(0, lanes.findIndex(l => l.data === samples));
+      drawRefinedPeaks(samples, start, end, timeToX, lane * laneH, laneH);
+    }
 
-    const sr = state.sampleRate;
-    const viewStartSec = start / sr;
-    const viewEndSec = end / sr;
+    // outside the analysis area: dimmed
+    const area = state.area;
+    if (areaIsSet(area)) {
+      const dim = (t0, t1) => {
+        if (t1 <= viewStartSec || t0 >= viewEndSec) return;
+        const x0 = clamp(timeToX(t0), 0, w);
+        ctx2d.fillRect(x0, 0, Math.max(1, clamp(timeToX(t1), 0, w) - x0), h);
+      };
+      ctx2d.fillStyle = "rgba(15,23,42,0.65)";
+      if (area.region) {
+        dim(viewStartSec, area.region.start);
+        dim(area.region.end, viewEndSec);
+      }
+      for (const ex of area.exclusions) dim(ex.start, ex.end);
+    }
+
+    // comparison grid: short ticks along the bottom
+    if (state.compareBeats) {
+      ctx2d.beginPath();
+      ctx2d.lineWidth = 1;
+      ctx2d.strokeStyle = "#34d399";
+      for (const cb of state.compareBeats) {
+        if (cb.time < viewStartSec || cb.time > viewEndSec) continue;
+        const x = timeToX(cb.time);
+        ctx2d.moveTo(x, h);
+        ctx2d.lineTo(x, h - (cb.downbeat ? 24 : 12));
+      }
+      ctx2d.stroke();
+    }
+    if (!markerCtx) drawMarkers(ctx2d, w, h);
+  }
+
+  // Markers, QA flags and the playhead: on their layer when there is one
+  function drawMarkerLayer() {
+    if (!timelineLength()) return;
+    if (!markerCtx) {
+      drawWaveformLayer();
+      return;
+    }
+    resizeCanvas(markerCanvas, markerCtx);
+    const rect = markerCanvas.getBoundingClientRect();
+    markerCtx.clearRect(0, 0, rect.width, rect.height);
+    drawMarkers(markerCtx, rect.width, rect.height);
+  }
+
+  function drawMarkers(c2d, w, h) {
+    const { viewStartSec, viewEndSec, timeToX } = viewGeometry(w);
+    state.markerXs = [];
+    const beats = state.beats || [];
 
     for (let bi = 0; bi < beats.length; bi++) {
       const bt = beats[bi].time;
       if (bt < viewStartSec || bt > viewEndSec) continue;
 
-      const x = ((bt - viewStartSec) / (viewEndSec - viewStartSec)) * w;
-
-      ctx2d.beginPath();
-      ctx2d.lineWidth = (bi === state.selectedBeatIndex) ? 2 : 1;
-      ctx2d.strokeStyle = beats[bi].downbeat ? "#f59e0b" : "#a78bfa"; // downbeat=amber, upbeat=purple
-      ctx2d.moveTo(x, 0);
-      ctx2d.lineTo(x, h);
-      ctx2d.stroke();
+      const x = timeToX(bt);
+
+      c2d.beginPath();
+      c2d.lineWidth = (bi === state.selectedBeatIndex) ? 2 : 1;
+      c2d.strokeStyle = beats[bi].downbeat ? "#f59e0b" : "#a78bfa"; // downbeat=amber, upbeat=purple
+      // dashed = tracked beat with low confidence, worth a listen
+      c2d.setLineDash(beats[bi].confidence != null && beats[bi].confidence < 0.5 ? [4, 4] : []);
+      c2d.moveTo(x, 0);
+      c2d.lineTo(x, h);
+      c2d.stroke();
+      c2d.setLineDash([]);
+
+      // time signature where the meter changes (and on the first bar)
+      const prev = beats[bi - 1];
+      if (beats[bi].beatInBar === 1 && beats[bi].bar >= 1 && (beats[bi].bar === 1 || prev.meter !== beats[bi].meter)) {
+        c2d.fillStyle = "#f59e0b";
+        c2d.font = "11px system-ui, sans-serif";
+        c2d.fillText(`${beats[bi].meter}/4`, x + 3, 28);
+      }
 
       state.markerXs.push({ x, beatIndex: bi });
     }
+
+    // grid QA issues: a red wedge along the bottom
+    c2d.fillStyle = "#ef4444";
+    for (const issue of state.qaIssues) {
+      if (issue.time < viewStartSec || issue.time > viewEndSec) continue;
+      const x = timeToX(issue.time);
+      c2d.beginPath();
+      c2d.moveTo(x, h - 10);
+      c2d.lineTo(x - 5, h);
+      c2d.lineTo(x + 5, h);
+      c2d.fill();
+    }
+
+    // playhead
+    const ph = playheadTime();
+    if (ph >= viewStartSec && ph <= viewEndSec && (playback.playing || ph > 0)) {
+      const x = timeToX(ph);
+      c2d.beginPath();
+      c2d.lineWidth = 1.5;
+      c2d.strokeStyle = "#f8fafc";
+      c2d.moveTo(x, 0);
+      c2d.lineTo(x, h);
+      c2d.stroke();
+    }
+  }
+
+  // ---------- MINIMAP ----------
+  // The whole timeline in a strip under the waveform: its outline, sections, every marker
+  // and a box for the part the waveform shows. Click or drag it to move the view.
+  let minimapOutline = null; // {samples, width, peaks}: max |sample| per pixel column
+
+  function drawMinimap() {
+    if (!minimapCanvas || !minimapCtx) return;
+    resizeCanvas(minimapCanvas, minimapCtx);
+    const rect = minimapCanvas.getBoundingClientRect();
+    const w = rect.width;
+    const h = rect.height;
+    const c2d = minimapCtx;
+    c2d.clearRect(0, 0, w, h);
+    const total = timelineLength();
+    if (!total) return;
+    const timeToX = (t) => (t * state.sampleRate / total) * w;
+
+    // outline, computed once per file and width
+    const samples = state.samples;
+    if (samples) {
+      const wInt = Math.max(1, Math.floor(w));
+      if (!minimapOutline || minimapOutline.samples !== samples || minimapOutline.width !== wInt) {
+        const peaks = new Float32Array(wInt);
+        for (let x = 0; x < wInt; x++) {
+          const i0 = Math.floor((x / wInt) * samples.length);
+          const i1 = Math.min(samples.length, Math.floor(((x + 1) / wInt) * samples.length));
+          if (i1 <= i0) continue;
+          const { min, max } = peakRange(samples, i0, i1);
+          peaks[x] = Math.max(Math.abs(min), Math.abs(max));
+        }
+        minimapOutline = { samples, width: wInt, peaks };
+      }
+      const scale = (h / 2) / Math.max(1e-6, state.samplesPeak);
+      c2d.beginPath();
+      c2d.lineWidth = 1;
+      c2d.strokeStyle = "#334155";
+      minimapOutline.peaks.forEach((m, x) => {
+        c2d.moveTo(x + 0.5, h / 2 - m * scale);
+        c2d.lineTo(x + 0.5, h / 2 + m * scale);
+      });
+      c2d.stroke();
+    }
+
+    for (const section of state.sections) {
+      c2d.globalAlpha = 0.6;
+      c2d.fillStyle = section.color;
+      c2d.fillRect(timeToX(section.start), 0, Math.max(1, timeToX(section.end) - timeToX(section.start)), 4);
+      c2d.globalAlpha = 1;
+    }
+
+    // markers: downbeats full height, other beats along the bottom
+    c2d.lineWidth = 1;
+    for (const down of [0, 1]) {
+      c2d.beginPath();
+      c2d.strokeStyle = down ? "rgba(245,158,11,0.8)" : "rgba(167,139,250,0.5)";
+      for (const b of state.beats) {
+        if ((b.downbeat ? 1 : 0) !== down) continue;
+        const x = Math.round(timeToX(b.time)) + 0.5;
+        c2d.moveTo(x, down ? 4 : h * 0.6);
+        c2d.lineTo(x, h);
+      }
+      c2d.stroke();
+    }
+
+    // the visible window
+    const { start, end } = getViewRange();
+    const x0 = (start / total) * w;
+    const x1 = Math.max(x0 + 3, (end / total) * w);
+    c2d.fillStyle = "rgba(248,250,252,0.12)";
+    c2d.fillRect(x0, 0, x1 - x0, h);
+    c2d.strokeStyle = "#f8fafc";
+    c2d.strokeRect(x0 + 0.5, 0.5, x1 - x0 - 1, h - 1);
+  }
+
+  // Center the view on the minimap position under clientX
+  function minimapSeek(clientX) {
+    const total = timelineLength();
+    if (!total || !minimapCanvas) return;
+    const rect = minimapCanvas.getBoundingClientRect();
+    const frac = clamp((clientX - rect.left) / Math.max(1, rect.width), 0, 1);
+    const { start, end } = getViewRange();
+    setViewWindow(frac * total - (end - start) / 2, end - start);
+    drawWaveformAndOverlay();
+  }
+
+  // Tempo over the waveform's time axis: the tempo of each beat as steps (blue), the smoothed
+  // tempo (amber), and dots where the plugin gets a tempo change (green).
+  function drawTempoCurve() {
+    if (!tempoCanvas || !tempoCtx) return;
+
+    resizeCanvas(tempoCanvas, tempoCtx);
+    const rect = tempoCanvas.getBoundingClientRect();
+    const w = rect.width;
+    const h = rect.height;
+    tempoCtx.clearRect(0, 0, w, h);
+
+    const beats = state.beats;
+    if (beats.length < 2) return;
+    const { start, end } = getViewRange();
+    const sr = state.sampleRate;
+    const t0 = start / sr;
+    const t1 = end / sr;
+    if (t1 <= t0) return;
+    const timeToX = (t) => ((t - t0) / (t1 - t0)) * w;
+
+    // visible beats plus one either side, so the lines run off the edges
+    const i0 = Math.max(0, lowerBoundBeat(beats, t0) - 1);
+    const i1 = Math.min(beats.length - 1, lowerBoundBeat(beats, t1));
+
+    // BPM range: the smoothed tempo, widened for the per-beat tempo but only so far, so one
+    // bad click doesn't flatten the rest (it's drawn pinned to the edge instead)
+    let lo = Infinity, hi = -Infinity;
+    for (let i = i0; i <= i1; i++) {
+      const sm = beats[i].tempoSmooth;
+      if (sm) { lo = Math.min(lo, sm); hi = Math.max(hi, sm); }
+    }
+    if (!isFinite(lo)) return;
+    let rangeLo = lo, rangeHi = hi;
+    for (let i = i0; i <= i1; i++) {
+      const raw = beats[i].tempoRaw;
+      if (!raw) continue;
+      rangeLo = Math.min(rangeLo, Math.max(raw, lo - 20));
+      rangeHi = Math.max(rangeHi, Math.min(raw, hi + 20));
+    }
+    const pad = Math.max(2, (rangeHi - rangeLo) * 0.1);
+    rangeLo -= pad;
+    rangeHi += pad;
+    const bpmToY = (bpm) => clamp(h - 4 - ((bpm - rangeLo) / (rangeHi - rangeLo)) * (h - 8), 2, h - 2);
+
+    // BPM gridlines at a round step
+    const step = [1, 2, 5, 10, 20, 50, 100].find(s => (rangeHi - rangeLo) / s <= 4) || 100;
+    tempoCtx.font = "10px system-ui, sans-serif";
+    tempoCtx.lineWidth = 1;
+    tempoCtx.strokeStyle = "rgba(148,163,184,0.15)";
+    tempoCtx.fillStyle = "#64748b";
+    for (let v = Math.ceil(rangeLo / step) * step; v <= rangeHi; v += step) {
+      const gy = Math.round(bpmToY(v)) + 0.5;
+      tempoCtx.beginPath();
+      tempoCtx.moveTo(0, gy);
+      tempoCtx.lineTo(w, gy);
+      tempoCtx.stroke();
+      tempoCtx.fillText(String(v), 4, gy - 2);
+    }
+
+    // exported tempo changes, behind the curves
+    const changes = [];
+    tempoCtx.strokeStyle = "rgba(34,197,94,0.25)";
+    tempoCtx.beginPath();
+    for (let i = i0; i <= i1; i++) {
+      if (!beats[i].tempoOut) continue;
+      const x = timeToX(beats[i].time);
+      tempoCtx.moveTo(x, 0);
+      tempoCtx.lineTo(x, h);
+      changes.push({ x, y: bpmToY(beats[i].tempoOut) });
+    }
+    tempoCtx.stroke();
+
+    // per-beat tempo: flat from each beat to the next
+    tempoCtx.strokeStyle = "#38bdf8";
+    tempoCtx.beginPath();
+    for (let i = i0; i < i1; i++) {
+      const raw = beats[i].tempoRaw;
+      if (!raw) continue;
+      const y = bpmToY(raw);
+      if (i === i0) tempoCtx.moveTo(timeToX(beats[i].time), y);
+      else tempoCtx.lineTo(timeToX(beats[i].time), y);
+      tempoCtx.lineTo(timeToX(beats[i + 1].time), y);
+    }
+    tempoCtx.stroke();
+
+    // smoothed tempo through the middle of each beat
+    tempoCtx.strokeStyle = "#f59e0b";
+    tempoCtx.lineWidth = 2;
+    tempoCtx.beginPath();
+    let first = true;
+    for (let i = i0; i < i1; i++) {
+      const sm = beats[i].tempoSmooth;
+      if (!sm) continue;
+      const x = timeToX((beats[i].time + beats[i + 1].time) / 2);
+      if (first) tempoCtx.moveTo(x, bpmToY(sm)); else tempoCtx.lineTo(x, bpmToY(sm));
+      first = false;
+    }
+    tempoCtx.stroke();
+
+    tempoCtx.fillStyle = "#22c55e";
+    for (const c of changes) {
+      tempoCtx.beginPath();
+      tempoCtx.arc(c.x, c.y, 3, 0, Math.PI * 2);
+      tempoCtx.fill();
+    }
+  }
+
+  // Detection function (grey), adaptive threshold (red) and the clicks the current
+  // settings would pick (amber ticks), on the same time axis as the waveform.
+  function drawDetectionPreview() {
+    const preview = state.detectionPreview;
+    if (!odfCanvas || !odfCtx || !preview || preview.source !== state.samples) return;
+
+    resizeCanvas(odfCanvas, odfCtx);
+    const rect = odfCanvas.getBoundingClientRect();
+    const w = rect.width;
+    const h = rect.height;
+    odfCtx.clearRect(0, 0, w, h);
+
+    const { hop, odf, odfMax } = preview.env;
+    if (!odfMax) return;
+    const { start, end } = getViewRange();
+    const f0 = Math.floor(start / hop);
+    const f1 = Math.min(odf.length, Math.ceil(end / hop));
+    const frames = Math.max(1, f1 - f0);
+    // sqrt scale so quiet sections are still readable next to loud ones
+    const y = (v) => h - Math.sqrt(Math.min(1, v / odfMax)) * (h - 10);
+
+    const wInt = Math.max(1, Math.floor(w));
+    const thrPts = [];
+    odfCtx.beginPath();
+    odfCtx.lineWidth = 1;
+    odfCtx.strokeStyle = "#64748b";
+    for (let x = 0; x < wInt; x++) {
+      const j0 = f0 + Math.floor((x / wInt) * frames);
+      const j1 = Math.max(j0 + 1, f0 + Math.floor(((x + 1) / wInt) * frames));
+      let vMax = 0, tMax = 0;
+      for (let j = j0; j < j1 && j < f1; j++) {
+        if (odf[j] > vMax) vMax = odf[j];
+        if (preview.thr[j] > tMax) tMax = preview.thr[j];
+      }
+      odfCtx.moveTo(x + 0.5, h);
+      odfCtx.lineTo(x + 0.5, y(vMax));
+      thrPts.push(y(tMax));
+    }
+    odfCtx.stroke();
+
+    odfCtx.beginPath();
+    odfCtx.strokeStyle = "#ef4444";
+    thrPts.forEach((ty, x) => (x ? odfCtx.lineTo(x + 0.5, ty) : odfCtx.moveTo(0.5, ty)));
+    odfCtx.stroke();
+
+    const sr = state.sampleRate;
+    const t0 = start / sr;
+    const t1 = end / sr;
+    odfCtx.beginPath();
+    odfCtx.strokeStyle = "#f59e0b";
+    for (const t of preview.clicks) {
+      if (t < t0 || t > t1) continue;
+      const x = ((t - t0) / (t1 - t0)) * w;
+      odfCtx.moveTo(x, 0);
+      odfCtx.lineTo(x, 8);
+    }
+    odfCtx.stroke();
+  }
+
+  // Re-run detection on the analyzed samples with the current settings. The envelope is
+  // cached per sample array, so moving a slider only redoes the threshold and peak picking.
+  function updateDetectionPreview() {
+    if (!state.samples) return null;
+    const samples = detectionSamples();
+
+    let preview = state.detectionPreview;
+    if (!preview || preview.samples !== samples) {
+      const rawEnv = onsetEnvelope(samples, state.sampleRate);
+      preview = { source: state.samples, samples, rawEnv, env: null, thr: null, clicks: [] };
+    }
+    const opts = state.detection;
+    // outside the analysis region the detector hears nothing
+    preview.env = maskOnsetEnvelope(preview.rawEnv, state.sampleRate, state.area);
+    preview.thr = adaptiveThreshold(preview.env, state.sampleRate, opts.sensitivity);
+    // Onsets come from the (possibly band-passed) detection signal, but peaks are refined on
+    // the raw samples so filtering never shifts click times.
+    preview.clicks = pickOnsets(state.samples, state.sampleRate, preview.env, preview.thr, opts)
+      .filter(t => inAnalysisArea(t, state.area));
+    state.detectionPreview = preview;
+
+    if (detectInfoEl) detectInfoEl.textContent = `${preview.clicks.length} clicks at these settings`;
+    return preview;
   }
 
   function hitTestMarker(clientX, clientY) {
@@ -491,6 +1408,14 @@ ctx2d.stroke();
     return (best && bestDx <= 6) ? best : null;
   }
 
+  // Canvas clientX → seconds, using the same view range as the renderer.
+  function clientXToTime(clientX) {
+    const rect = canvas.getBoundingClientRect();
+    const { start, end } = getViewRange();
+    const frac = clamp((clientX - rect.left) / Math.max(1, rect.width), 0, 1);
+    return (start + frac * (end - start)) / state.sampleRate;
+  }
+
   function showTooltip(e, beat) {
     tooltip.style.display = "block";
     tooltip.style.left = `${e.clientX + 12}px`;
@@ -503,10 +1428,14 @@ ctx2d.stroke();
 
     tooltip.innerHTML =
       `<div><b>${d}</b></div>` +
-      `<div>t: ${t}s</div>` +
+      (beat.bar != null ? `<div>bar ${beat.bar}:${beat.beatInBar} · ${beat.meter}/4</div>` : "") +
+      `<div>t: ${t}s · TC ${timecodeAt(beat.time)}</div>` +
       `<div>centroid: ${c}Hz</div>` +
       `<div>BPM: ${bpm}</div>` +
-      (beat.tempoOut ? `<div>tempo out: ${fmt1(beat.tempoOut)}</div>` : `<div>tempo out: 0</div>`);
+      (beat.tempoOut ? `<div>tempo out: ${fmt1(beat.tempoOut)}</div>` : `<div>tempo out: 0</div>`) +
+      (beat.confidence != null ? `<div>confidence: ${beat.confidence.toFixed(2)}</div>` : "") +
+      (beat.fitResidual != null ? `<div>fit residual: ${formatResidual(beat.fitResidual)}</div>` : "") +
+      (beat.downbeatConfidence != null ? `<div>downbeat confidence: ${beat.downbeatConfidence.toFixed(2)}</div>` : "");
   }
 
   function hideTooltip() {
@@ -515,108 +1444,916 @@ ctx2d.stroke();
 
   // ---------- OUTPUT LIST ----------
   function renderBeatList() {
-    const beats = state.beats || [];
-    if (beats.length === 0) {
+    if (!state.beats.length) {
       output.textContent = "";
       return;
     }
+    const grid = exportedGrid();
+    const beats = grid.beats;
 
     const lines = [];
     lines.push("beatTable preview:");
-    lines.push("{seconds, downbeat, tempo change}");
+    lines.push("{seconds, downbeat, tempo change, duration, name}");
+    if (areaIsSet(state.area)) lines.push(`-- analysis region: ${describeArea()}`);
+    const rows = beatTableRows(beats, state.markerStyle, { beatsPerBar: state.beatsPerBar, timecode: state.timecode });
+    let section = null;
     for (let i = 0; i < beats.length; i++) {
       const b = beats[i];
+      const here = sectionAt(b.time, grid.sections);
+      if (here && here !== section) lines.push(`-- [${here.name}] ${sectionBarRange(here, beats)}`);
+      section = here;
       const sec = fmt3(b.time);
       const down = b.downbeat ? 1 : 0;
       const tempoOut = b.beatTableTempo ? fmt1(b.beatTableTempo) : "0";
-      lines.push(`{${sec},${down},${tempoOut}}`);
+      const marker = `${fmt3(rows[i].duration)},${luaQuote(rows[i].name)}`;
+      const pos = (b.bar != null) ? ` -- ${b.bar}:${b.beatInBar} (${b.meter}/4)` : "";
+      const conf = (b.confidence != null) ? ` -- confidence ${b.confidence.toFixed(2)}` : "";
+      const fit = (b.fitResidual != null) ? ` -- fit ${formatResidual(b.fitResidual)}` : "";
+      lines.push(`{${sec},${down},${tempoOut},${marker}} -- TC ${timecodeAt(b.time)}${pos}${conf}${fit}`);
     }
     output.textContent = lines.join("\n");
   }
 
-  // ---------- MA3 LUA/XML  ----------
-  function formatSecondsFromSeconds(sec) {
+  // ---------- BEAT EDITING ----------
+  // Every change to the grid goes through setBeats so tempo outputs, the list and the overlay
+  // always match what the MA3 plugin will contain. Passing a label makes it an undo step.
+  function setBeats(beats, selectedBeat = null, label = "") {
+    const sorted = beats.slice().sort((a, b) => a.time - b.time);
+    state.selectedBeatIndex = selectedBeat ? sorted.indexOf(selectedBeat) : -1;
+    state.beats = annotateSections(annotateBars(computeTempoOutputs(sorted), state.area));
 
-    const s = Number(sec).toFixed(3);
-    const trimmed = s.replace(/\.?0+$/, "");
-    if (trimmed === "") return "0";
-    return trimmed.startsWith("0.") ? trimmed.slice(1) : trimmed;
+    refreshBeatViews();
+    if (label) recordHistory(label);
   }
 
-  function buildLuaFromClickBeats(beats, baseFilename) {
-    const safeName = (baseFilename || "click-track").replace(/"/g, '\\"');
-
-    // Use \r\n for all line endings in the Lua script
-    const firstLine = `local filename = "${safeName}"\r\n\r\n`;
-    const comment = `--beatTable is beat in seconds, 1 or 0 if the beat is a down beat or not, and the tempo if the tempo has changed on that beat, otherwise zero\r\n`;
-    const start = `local beatTable = {\r\n`;
+  function refreshBeatViews() {
+    state.qaIssues = findGridIssues(state.beats);
+    drawWaveformAndOverlay();
+    renderBeatList();
+    updateEditButtons();
+    renderMeterPins();
+    renderSections();
+    renderRegion();
+    renderFitInfo();
+    renderQaPanel();
+    downloadBtn.disabled = (state.beats.length === 0);
+    midiBtn.disabled = (state.beats.length === 0);
+    if (jumpBtn) jumpBtn.disabled = (state.beats.length === 0);
+  }
 
-    const entries = [];
-    for (let i = 0; i < beats.length; i++) {
-      const b = beats[i];
-      const secStr = formatSecondsFromSeconds(b.time);
+  function selectedBeat() {
+    return state.beats[state.selectedBeatIndex] || null;
+  }
 
-      // tempoOut: either 0 OR 1-decimal number
-      const tempoVal = b.beatTableTempo ? Number(fmt1(b.beatTableTempo)) : 0;
+  function updateEditButtons() {
+    const has = !!selectedBeat();
+    if (deleteBeatBtn) deleteBeatBtn.disabled = !has;
+    if (toggleDownbeatBtn) toggleDownbeatBtn.disabled = !has;
+    if (firstDownbeatBtn) firstDownbeatBtn.disabled = !has;
+    if (reclassifyBtn) reclassifyBtn.disabled = state.beats.length === 0;
+  }
 
-      entries.push(`    {${secStr},${b.downbeat ? 1 : 0},${tempoVal}}${i < beats.length - 1 ? "," : ""}`);
+  // Pull a hand-placed time onto the strongest nearby sample (±10ms), refined like detectClicks.
+  // Left alone when there is no real transient nearby (nothing above 10% of the file peak).
+  function snapToPeak(time) {
+    const samples = state.samples;
+    if (!samples) return time;
+    const sr = state.sampleRate;
+    const radius = Math.floor(0.01 * sr);
+    const center = Math.round(time * sr);
+    const i0 = clamp(center - radius, 0, samples.length - 1);
+    const i1 = clamp(center + radius, 0, samples.length - 1);
+
+    let p = center, best = -1;
+    for (let i = i0; i <= i1; i++) {
+      const a = Math.abs(samples[i]);
+      if (a > best) { best = a; p = i; }
     }
+    return best > state.samplesPeak * 0.1 ? refinedPeakTimeSeconds(samples, p, sr) : time;
+  }
 
-    const endTable = `\r\n}\r\n\r\n`;
+  function addBeatAt(time) {
+    const beat = { time: Math.max(0, time), centroid: 0, downbeat: 0 };
+    setBeats([...state.beats, beat], beat, `Add beat at ${fmt3(beat.time)}s`);
+  }
 
-    // Lua tail: keep identical structure/content to the MIDI app
-    const luaTail =
-`local firstBeatSeconds = beatTable[1][1]\r\nlocal lastBeatSeconds = beatTable[#beatTable][1]\r\n\r\nlocal function CreateBeatAppearances()\r\n    local beatOneAppNum, beatOtherAppNum\r\n    for i = 1, 9999 do\r\n        if not IsObjectValid(GetObject('Appearance '..i)) then\r\n            if not beatOneAppNum then\r\n                Cmd('Store Appearance '..i..' "BeatGridOnes"')\r\n                Cmd('Set Appearance '..i..' "Color" "0.99,0.99,0.99,1"')\r\n                beatOneAppNum = i\r\n            elseif not beatOtherAppNum then\r\n                Cmd('Store Appearance '..i..' "BeatGridOthers"')\r\n                Cmd('Set Appearance '..i..' "Color" "0,0,0,1"')\r\n                break\r\n            end\r\n        end\r\n    end\r\nend\r\n\r\nlocal function DeleteGridRange(songNum,trackGroup)\r\n    local startRaw = firstBeatSeconds * 16777216\r\n    local endRaw = lastBeatSeconds * 16777216\r\n    local deletionIndexList = {}\r\n    local markerList = ObjectList('Timecode '..songNum..'.'..trackGroup..'.0.1 Thru')\r\n    if #markerList == 0 then return end --early exit if no markers \r\n    -- find all markers in between start and end \r\n    for _, marker in ipairs(markerList) do\r\n        if marker.rawstart < endRaw and marker.rawstart >= startRaw then\r\n            table.insert(deletionIndexList, marker.index)\r\n        end\r\n    end\r\n    if #deletionIndexList == 0 then return end --early exit if no markers \r\n    --delete those markers \r\n    Cmd('CD Timecode '..songNum..'.'..trackGroup..'.0')\r\n    Cmd('Delete '..table.concat(deletionIndexList, \" + \"))\r\n    Cmd('CD Root')\r\nend\r\n\r\n\r\nlocal function CreateBeatGrid(timecodeNum,trackGroup)\r\n    --clear out markers from current timecode track \r\n    DeleteGridRange(timecodeNum,trackGroup)\r\n    local beatOneAppearance = GetObject('Appearance \"BeatGridOnes\"')\r\n    local beatOtherAppearance = GetObject('Appearance \"BeatGridOthers\"')\r\n    --check for beat appearances and make them if they don't exist yet \r\n    if not (beatOneAppearance and beatOtherAppearance) then\r\n        CreateBeatAppearances()\r\n    end\r\n    --create markers \r\n    Cmd('CD Timecode '..timecodeNum..'.'..trackGroup..'.0') --Marker layer \r\n    local progressBarHandle = StartProgress('Creating Beat Grid')\r\n    SetProgressRange(progressBarHandle,1,#beatTable)\r\n    local tcTrack = GetObject('Timecode '..timecodeNum..'.'..trackGroup..'.0')\r\n    for i = 1, #beatTable do\r\n        Cmd('Insert') -- creates new marker at bottom of children list \r\n        local allMarkers = tcTrack:Children()\r\n        local newMarker = allMarkers[#allMarkers] -- 16777216 is 2^24. You'll find that most things under the hood of MA are 24-bit raw. \r\n        newMarker.rawstart = beatTable[i][1] * 16777216\r\n        --make the length of the marker half of a quarter note \r\n        if #beatTable == 1 then \r\n            newMarker.duration = 0.25 -- arbitrary safe default\r\n        elseif i == #beatTable then\r\n            newMarker.duration = (beatTable[i][1] - beatTable[i-1][1]) / 2\r\n        else\r\n            newMarker.duration = (beatTable[i+1][1] - beatTable[i][1]) / 2\r\n        end\r\n        newMarker.appearance = beatTable[i][2] == 1 and beatOneAppearance or beatOtherAppearance\r\n        if beatTable[i][3] ~= 0 then\r\n            newMarker.name = beatTable[i][3]\r\n        end\r\n        IncProgress(progressBarHandle,1)\r\n    end\r\n    Cmd('CD Root')\r\n    StopProgress(progressBarHandle)\r\nend\r\n\r\nfunction DeleteAllMarkers(songNum,trackGroup)\r\n    Cmd('CD Timecode '..songNum..'.'..trackGroup..'.0')\r\n    Cmd('Delete 1 Thru')\r\n    Cmd('CD Root')\r\nend\r\n\r\nlocal function UiBeatGrid()\r\n    local selectedTC = SelectedTimecode()\r\n    local selectedIndex = selectedTC and selectedTC.index or 1\r\n    local defaultCommandButtons = {\r\n        {value = 3, name = \"Cancel\"},\r\n        {value = 2, name = \"OK\"},\r\n        {value = 1, name = \"Clear Grid\"}\r\n    }\r\n    local inputFields = {\r\n        {order = 1, name = \"Timecode Number?\", value = selectedIndex, whiteFilter = \"0123456789\", vkPlugin = \"NumericInput\"},\r\n        {order = 2, name = \"Track Group?\", value = \"1\", whiteFilter = \"0123456789\", vkPlugin = \"NumericInput\"}\r\n    }\r\n    local messageTable = {\r\n        icon = \"object_smart\",\r\n        backColor = \"Window.Plugins\",\r\n        title = \"Tempo Map Importer\",\r\n        message = \"This will apply the tempo map from file: \" .. filename .. \"\\\\r\\\\nAppearances will be found as 'BeatGridOnes' and 'BeatGridOthers'\",\r\n        commands = defaultCommandButtons,\r\n        inputs = inputFields\r\n    }\r\n    local returnTable = MessageBox(messageTable)\r\n    local inputLocation = tonumber(returnTable.inputs[\"Timecode Number?\"])\r\n    local inputTrackGroup = tonumber(returnTable.inputs[\"Track Group?\"]) or 1\r\n    if returnTable.result == 3 then\r\n        --Canceled\r\n        return -- Canceled\r\n    end\r\n    if returnTable.result == 2 then\r\n        if not IsObjectValid(GetObject('Timecode '..inputLocation..'.'..inputTrackGroup)) then\r\n            return Confirm(\"Timecode or Track Group Doesn't Exist\",\"Canceling\",nil,false) \r\n        end\r\n        return CreateBeatGrid(inputLocation,inputTrackGroup)\r\n    end\r\n    if returnTable.result == 1 then\r\n        if Confirm(\"Confirm Deletion\", \"Delete all markers in this track?\", nil, true) then\r\n            return DeleteAllMarkers(inputLocation,inputTrackGroup)\r\n        else return\r\n        end\r\n    end\r\nend\r\n\r\n-- Define what happens when a user presses on the Lua Plugin within MA3 \r\nreturn UiBeatGrid\r\n`;
+  function deleteSelectedBeat() {
+    const beat = selectedBeat();
+    if (!beat) return false;
+    setBeats(state.beats.filter(b => b !== beat), null, `Delete beat at ${fmt3(beat.time)}s`);
+    return true;
+  }
 
-    return firstLine + comment + start + entries.join("\r\n") + endTable + luaTail;
+  function toggleSelectedDownbeat() {
+    const beat = selectedBeat();
+    if (!beat) return false;
+    const toggled = { ...beat, downbeat: beat.downbeat ? 0 : 1 };
+    const label = `${toggled.downbeat ? "Mark" : "Unmark"} downbeat at ${fmt3(beat.time)}s`;
+    setBeats(state.beats.map(b => (b === beat ? toggled : b)), toggled, label);
+    return true;
   }
 
-  // Keep CRLF normalization + UTF-8 safe base64 blocks
-  function splitLuaIntoBase64Blocks(luaString, chunkChars = 1024) {
-    const blocks = [];
-    for (let i = 0; i < luaString.length; i += chunkChars) {
-      const chunk = luaString.slice(i, i + chunkChars);
-      const utf8Bytes = new TextEncoder().encode(chunk);
-      let binary = "";
-      for (let j = 0; j < utf8Bytes.length; j++) binary += String.fromCharCode(utf8Bytes[j]);
-      blocks.push(btoa(binary));
-    }
-    return blocks;
+  // ---------- METER PINS ----------
+  // Pins are stored as time ranges so they survive re-analysis and renumbering; the UI
+  // talks in bars of the current grid. Pinning re-runs the bar grid on the current
+  // downbeats, so hand-toggled downbeats outside the pinned range are kept.
+  function reapplyMeterPins(label) {
+    const refined = refineDownbeatsByBarGrid(state.beats, state.meterPins, state.area);
+    state.beatsPerBar = refined.beatsPerBar;
+    setBeats(refined.beats, null, label);
   }
 
-  function buildXmlWithLuaBase64(blocks, baseFilename) {
-    const totalSize = blocks.reduce((sum, block) => sum + block.length, 0);
-    const safeName = (baseFilename || "Untitled") + " Beat Importer";
+  function pinMeter(fromBar, toBar, beatsPerBar) {
+    const barStart = (bar) => state.beats.find(b => b.bar === bar && b.beatInBar === 1);
+    const first = barStart(fromBar);
+    if (!first || toBar < fromBar) return false;
+    const after = barStart(toBar + 1);
+    // start a hair early so the downbeat itself is inside the range
+    const start = first.time - 0.001;
+    const end = after ? after.time - 0.001 : Infinity;
+
+    // a new pin replaces whatever it overlaps
+    state.meterPins = state.meterPins
+      .filter(p => p.end <= start || p.start >= end)
+      .concat({ start, end, beatsPerBar, fromBar, toBar })
+      .sort((a, b) => a.start - b.start);
+    reapplyMeterPins(`Pin ${beatsPerBar}/4 on bars ${fromBar}–${toBar}`);
+    return true;
+  }
 
-    let fileContent = `            <FileContent Size="${totalSize}">\n`;
-    blocks.forEach(block => {
-      fileContent += `                <Block Base64="${block}"/>\n`;
-    });
-    fileContent += "            </FileContent>";
+  function removeMeterPin(index) {
+    const pin = state.meterPins[index];
+    if (!pin) return;
+    state.meterPins = state.meterPins.filter((_, i) => i !== index);
+    reapplyMeterPins(`Unpin ${pin.beatsPerBar}/4 on bars ${pin.fromBar}–${pin.toBar}`);
+  }
 
-    return `<?xml version="1.0" encoding="UTF-8"?>
-    <GMA3 DataVersion="2.3.1.1">
-        <UserPlugin Name="${safeName}" Guid="E8 D2 CD 55 D4 92 10 02 8F EA DF B5 EA 2C DA 1F" Author="PJ Carruth" Version="0.0.0.0">
-            <ComponentLua Guid="E8 D2 CD 55 50 D7 10 02 25 FD 30 BF 10 7D 65 1E">
-    ${fileContent}
-            </ComponentLua>
-        </UserPlugin>
-    </GMA3>`;
+  function renderMeterPins() {
+    if (pinMeterBtn) pinMeterBtn.disabled = !state.beats.some(b => b.bar >= 1);
+    if (!meterPinsEl) return;
+    meterPinsEl.innerHTML = "";
+    state.meterPins.forEach((pin, i) => {
+      const chip = document.createElement("span");
+      chip.textContent = `bars ${pin.fromBar}–${pin.toBar}: ${pin.beatsPerBar}/4 `;
+      chip.style.padding = "2px 6px";
+      chip.style.borderRadius = "4px";
+      chip.style.background = "#1e293b";
+      const x = document.createElement("a");
+      x.textContent = "×";
+      x.title = "Remove pin";
+      x.style.cursor = "pointer";
+      x.addEventListener("click", () => removeMeterPin(i));
+      chip.appendChild(x);
+      meterPinsEl.appendChild(chip);
+    });
   }
 
-  function downloadXmlFromState() {
-    if (!state.beats || state.beats.length === 0) return;
+  // ---------- SECTIONS ----------
+  // Song structure (Intro, Verse, Chorus…) as time ranges snapped to downbeats. Each beat
+  // carries its section name, which the {section} marker token and the beat list use.
+  const SECTION_COLORS = {
+    intro: "#64748b", verse: "#3b82f6", "pre-chorus": "#06b6d4", chorus: "#ef4444",
+    bridge: "#a855f7", solo: "#f59e0b", breakdown: "#22c55e", outro: "#475569"
+  };
 
-    const lua = buildLuaFromClickBeats(state.beats, state.fileBaseName);
-    const blocks = splitLuaIntoBase64Blocks(lua, 1024);
-    const xml = buildXmlWithLuaBase64(blocks, state.fileBaseName);
+  function sectionAt(time, sections = state.sections) {
+    return sections.find(sec => time >= sec.start - 0.001 && time < sec.end - 0.001) || null;
+  }
+
+  function annotateSections(beats) {
+    return beats.map(b => {
+      const section = sectionAt(b.time);
+      if (!section && !b.section) return b;
+      return { ...b, section: section ? section.name : "" };
+    });
+  }
+
+  // "bars 9–16" from the beats the section covers
+  function sectionBarRange(section, beats = state.beats) {
+    const inside = beats.filter(b => b.bar != null && b.time >= section.start - 0.001 && b.time < section.end - 0.001);
+    if (!inside.length) return `${fmt3(section.start)}s–${fmt3(section.end)}s`;
+    const first = inside[0].bar, last = inside[inside.length - 1].bar;
+    return first === last ? `bar ${first}` : `bars ${first}–${last}`;
+  }
+
+  // Nearest downbeat (any beat if there are no downbeats yet)
+  function snapToDownbeat(time) {
+    const downs = state.beats.filter(b => b.downbeat);
+    const pool = downs.length ? downs : state.beats;
+    let best = time, bestD = Infinity;
+    for (const b of pool) {
+      const d = Math.abs(b.time - time);
+      if (d < bestD) { bestD = d; best = b.time; }
+    }
+    return best;
+  }
+
+  // End of the grid: one beat past the last beat
+  function gridEndTime() {
+    const beats = state.beats;
+    const n = beats.length;
+    if (n < 2) return n ? beats[0].time + 0.5 : 0;
+    return beats[n - 1].time + (beats[n - 1].time - beats[n - 2].time);
+  }
+
+  function addSection(start, end, name, color) {
+    name = (name || "").trim();
+    if (!name || !(end > start)) return false;
+    // a new section replaces whatever it overlaps
+    state.sections = state.sections
+      .filter(sec => sec.end <= start + 0.001 || sec.start >= end - 0.001)
+      .concat({ start, end, name, color: color || SECTION_COLORS[name.toLowerCase()] || "#3b82f6" })
+      .sort((a, b) => a.start - b.start);
+    setBeats(state.beats, selectedBeat(), `Add section ${name}`);
+    return true;
+  }
+
+  function addSectionForBars(fromBar, toBar, name, color) {
+    const barStart = (bar) => state.beats.find(b => b.bar === bar && b.beatInBar === 1);
+    const first = barStart(fromBar);
+    if (!first || toBar < fromBar) return false;
+    const after = barStart(toBar + 1);
+    return addSection(first.time, after ? after.time : gridEndTime(), name, color);
+  }
+
+  function addSectionFromSelection(name, color) {
+    const sel = state.selection;
+    if (!sel) return false;
+    const start = snapToDownbeat(sel.start);
+    let end = snapToDownbeat(sel.end);
+    if (end <= start) end = gridEndTime();
+    return addSection(start, end, name, color);
+  }
+
+  function removeSection(index) {
+    const section = state.sections[index];
+    if (!section) return;
+    state.sections = state.sections.filter((_, i) => i !== index);
+    setBeats(state.beats, selectedBeat(), `Remove section ${section.name}`);
+  }
+
+  function renderSections() {
+    const hasBars = state.beats.some(b => b.bar >= 1);
+    if (addSectionBtn) addSectionBtn.disabled = !hasBars;
+    if (sectionFromSelBtn) sectionFromSelBtn.disabled = !state.beats.length;
+    if (!sectionListEl) return;
+    sectionListEl.innerHTML = "";
+    state.sections.forEach((section, i) => {
+      const chip = document.createElement("span");
+      chip.textContent = `${section.name} (${sectionBarRange(section)}) `;
+      chip.style.padding = "2px 6px";
+      chip.style.borderRadius = "4px";
+      chip.style.background = "#1e293b";
+      chip.style.borderLeft = `4px solid ${section.color}`;
+      const x = document.createElement("a");
+      x.textContent = "×";
+      x.title = "Remove section";
+      x.style.cursor = "pointer";
+      x.addEventListener("click", () => removeSection(i));
+      chip.appendChild(x);
+      sectionListEl.appendChild(chip);
+    });
+  }
+
+  // ---------- ANALYSIS REGION ----------
+  // The loop selection becomes the region to analyze and export, or an exclusion inside it.
+  // Beats the area leaves out go from the grid right away (an undo step) and analyzing again
+  // only hears the area. Exports also skip anything outside it, and can count time from the
+  // region start instead of the file start.
+  function copyArea(area) {
+    return {
+      region: area.region ? { ...area.region } : null,
+      exclusions: (area.exclusions || []).map(x => ({ ...x })),
+      rebase: !!area.rebase
+    };
+  }
+
+  // An exclusion breaks tempo and bar counting even where it drops no beats, so the grid is
+  // always counted again
+  function areaChanged(label) {
+    const inside = state.beats.filter(b => inAnalysisArea(b.time, state.area));
+    setBeats(inside, selectedBeat(), label);
+    refreshDetectionPreview();
+    scheduleAutosave();
+  }
+
+  function loopSelection() {
+    const sel = state.selection;
+    return sel && sel.end - sel.start >= 0.05 ? sel : null;
+  }
+
+  function setRegionFromSelection() {
+    const sel = loopSelection();
+    if (!sel) return false;
+    state.area.region = { start: sel.start, end: sel.end };
+    // exclusions outside the new region no longer matter
+    state.area.exclusions = state.area.exclusions.filter(x => x.end > sel.start && x.start < sel.end);
+    areaChanged(`Analysis region ${fmt3(sel.start)}s–${fmt3(sel.end)}s`);
+    return true;
+  }
+
+  function excludeSelection() {
+    const sel = loopSelection();
+    if (!sel) return false;
+    state.area.exclusions = state.area.exclusions
+      .concat({ start: sel.start, end: sel.end })
+      .sort((a, b) => a.start - b.start);
+    areaChanged(`Exclude ${fmt3(sel.start)}s–${fmt3(sel.end)}s`);
+    return true;
+  }
+
+  // Beats already dropped don't come back: analyze again for those
+  function removeExclusion(index) {
+    const x = state.area.exclusions[index];
+    if (!x) return;
+    state.area.exclusions = state.area.exclusions.filter((_, i) => i !== index);
+    areaChanged(`Remove exclusion ${fmt3(x.start)}s–${fmt3(x.end)}s`);
+  }
+
+  function clearArea() {
+    state.area.region = null;
+    state.area.exclusions = [];
+    areaChanged("Clear analysis region");
+  }
+
+  // The grid the exports write: beats inside the area (tempo and bars counted again when some
+  // are left out), sections cut to the region, times from the region start when rebasing
+  function exportedGrid(beats = state.beats, sections = state.sections, area = state.area, regularize = state.regularize) {
+    const inside = beats.filter(b => inAnalysisArea(b.time, area));
+    const counted = inside.length === beats.length ? beats : annotateBars(computeTempoOutputs(inside, regularize, area), area);
+    return rebaseGrid(counted, sections, area);
+  }
+
+  function describeArea(area = state.area) {
+    const region = area.region ? `${fmt3(area.region.start)}s–${fmt3(area.region.end)}s` : "whole file";
+    const excluded = area.exclusions.length ? ` minus ${area.exclusions.length} exclusion${area.exclusions.length === 1 ? "" : "s"}` : "";
+    const times = area.region && area.rebase ? ", times from the region start" : "";
+    return `${region}${excluded}${times}`;
+  }
+
+  function renderRegion() {
+    const area = state.area;
+    if (regionFromSelBtn) regionFromSelBtn.disabled = !state.samples;
+    if (excludeSelBtn) excludeSelBtn.disabled = !state.samples;
+    if (clearRegionBtn) clearRegionBtn.disabled = !areaIsSet(area);
+    if (regionTimesSel) {
+      regionTimesSel.value = area.rebase ? "region" : "file";
+      regionTimesSel.disabled = !area.region;
+    }
+    if (regionInfoEl) regionInfoEl.textContent = areaIsSet(area) ? describeArea(area) : "";
+    if (!exclusionListEl) return;
+    exclusionListEl.innerHTML = "";
+    area.exclusions.forEach((x, i) => {
+      const chip = document.createElement("span");
+      chip.textContent = `excluded ${fmt3(x.start)}s–${fmt3(x.end)}s `;
+      chip.style.padding = "2px 6px";
+      chip.style.borderRadius = "4px";
+      chip.style.background = "#1e293b";
+      const remove = document.createElement("a");
+      remove.textContent = "×";
+      remove.title = "Analyze this range again";
+      remove.style.cursor = "pointer";
+      remove.addEventListener("click", () => removeExclusion(i));
+      chip.appendChild(remove);
+      exclusionListEl.appendChild(chip);
+    });
+  }
+
+  // ---------- GRID QA ----------
+  // Every interval is checked against the local beat length (median of the intervals around
+  // it): about 2, 3… beats is dropped clicks, a short pair adding up to one beat is an extra
+  // click, and a beat well off the midpoint of its neighbours is an outlier. Each issue has a
+  // suggested fix; fixes go through setBeats, so they are undo steps like any edit.
+  const QA_RADIUS = 8;      // intervals either side for the local beat length
+  const QA_TOLERANCE = 0.2; // of a beat: how far off a whole number of beats still counts
+  const QA_OUTLIER = 0.08;  // of a beat: distance from the neighbours' midpoint that is an outlier
+  const QA_KINDS = { gap: "Missing clicks", extra: "Extra click", outlier: "Outlier" };
+
+  function localBeatLength(dts, i) {
+    const around = [];
+    const k1 = Math.min(dts.length - 1, i + QA_RADIUS);
+    for (let k = Math.max(0, i - QA_RADIUS); k <= k1; k++) if (k !== i) around.push(dts[k]);
+    if (!around.length) return dts[i];
+    around.sort((a, b) => a - b);
+    return around[around.length >> 1];
+  }
+
+  // → [{kind, beat, next?, time, detail, missing?, target?}] in time order. The gap across an
+  // excluded part of the area is left alone, and no issue reaches across one.
+  function findGridIssues(beats) {
+    if (beats.length < 4) return [];
+    const dts = [];
+    for (let i = 0; i < beats.length - 1; i++) dts.push(beats[i + 1].time - beats[i].time);
+    const breaks = areaBreaks(beats, state.area);
+    const broken = (i) => !!breaks && !!breaks[i]; // interval i - 1 → i spans an exclusion
+
+    const issues = [];
+    const flagged = new Set(); // beats already part of an issue
+    for (let i = 0; i < dts.length; i++) {
+      if (broken(i + 1)) continue;
+      const local = localBeatLength(dts, i);
+      if (!(local > 0)) continue;
+      const r = dts[i] / local;
+      const whole = Math.round(r);
+
+      if (whole >= 2 && Math.abs(r - whole) <= QA_TOLERANCE) {
+        const missing = whole - 1;
+        issues.push({
+          kind: "gap", beat: beats[i], next: beats[i + 1], time: beats[i].time, missing,
+          detail: `${missing} missing click${missing === 1 ? "" : "s"} (${fmt1(r)} beat gap)`
+        });
+        flagged.add(i).add(i + 1);
+        continue;
+      }
+
+      // this interval and the next make one beat: the click between them is extra
+      if (r < 1 - QA_TOLERANCE && i + 1 < dts.length && !broken(i + 2)) {
+        const pair = (dts[i] + dts[i + 1]) / local;
+        if (Math.abs(pair - 1) <= QA_TOLERANCE) {
+          issues.push({
+            kind: "extra", beat: beats[i + 1], time: beats[i + 1].time,
+            detail: `extra click ${Math.round(r * 100)}% of a beat after the one before`
+          });
+          flagged.add(i).add(i + 1).add(i + 2);
+          i++; // the next interval belongs to this issue
+        }
+      }
+    }
+
+    for (let i = 1; i < beats.length - 1; i++) {
+      if (flagged.has(i) || broken(i) || broken(i + 1)) continue;
+      const span = beats[i + 1].time - beats[i - 1].time;
+      const local = localBeatLength(dts, i);
+      if (!(local > 0) || Math.abs(span / local - 2) > QA_TOLERANCE) continue; // not two plain beats
+      const target = beats[i - 1].time + span / 2;
+      const off = beats[i].time - target;
+      if (Math.abs(off) <= QA_OUTLIER * local) continue;
+      issues.push({
+        kind: "outlier", beat: beats[i], time: beats[i].time, target,
+        detail: `${Math.round(Math.abs(off) * 1000)}ms ${off > 0 ? "late" : "early"} against its neighbours`
+      });
+    }
+
+    return issues.sort((a, b) => a.time - b.time);
+  }
+
+  // The meter of a whole bar next to this beat's bar (the one with a gap is short by the
+  // missing clicks)
+  function meterAround(beats, beat) {
+    const near = beats.find(b => b.bar === beat.bar - 1) || beats.find(b => b.bar === beat.bar + 1);
+    return (near && near.meter) || beat.meter || state.beatsPerBar;
+  }
+
+  // Suggested fixes on a beat list: insert evenly spaced beats into gaps, drop extras and
+  // move outliers to their neighbours' midpoint. Only the fixed spot's downbeats change: an
+  // inserted beat counts on from the beat before the gap, and a dropped extra that carried
+  // the downbeat hands it to the nearer neighbour.
+  function applyIssueFixes(beats, issues) {
+    const removed = new Set();
+    const moved = new Map();
+    const flagged = new Set();
+    const added = [];
+    for (const issue of issues) {
+      if (issue.kind === "extra") {
+        removed.add(issue.beat);
+        const i = beats.indexOf(issue.beat);
+        const prev = beats[i - 1];
+        const next = beats[i + 1];
+        if (issue.beat.downbeat && prev && next && !prev.downbeat && !next.downbeat) {
+          flagged.add(issue.beat.time - prev.time <= next.time - issue.beat.time ? prev : next);
+        }
+      } else if (issue.kind === "outlier") moved.set(issue.beat, issue.target);
+      else if (issue.kind === "gap") {
+        const dt = (issue.next.time - issue.beat.time) / (issue.missing + 1);
+        const meter = meterAround(beats, issue.beat);
+        const pos = issue.beat.beatInBar || 1;
+        for (let k = 1; k <= issue.missing; k++) {
+          const downbeat = (pos - 1 + k) % meter === 0 ? 1 : 0;
+          added.push({ time: issue.beat.time + dt * k, centroid: 0, downbeat, interpolated: true });
+        }
+      }
+    }
+    const kept = beats
+      .filter(b => !removed.has(b))
+      .map(b => (moved.has(b) || flagged.has(b)
+        ? { ...b, time: moved.has(b) ? moved.get(b) : b.time, downbeat: flagged.has(b) ? 1 : b.downbeat }
+        : b));
+    return [...kept, ...added].sort((a, b) => a.time - b.time);
+  }
+
+  function fixGridIssues(issues, label) {
+    if (!issues.length) return;
+    setBeats(applyIssueFixes(state.beats, issues), null, label);
+  }
+
+  function issueLabel(issue) {
+    return `${QA_KINDS[issue.kind]} at ${fmt3(issue.time)}s`;
+  }
+
+  function jumpToIssue(issue) {
+    const local = issue.next ? (issue.next.time - issue.time) / (issue.missing + 1) : 0.5;
+    showTimeInView(issue.time, Math.max(2, local * 8));
+    state.selectedBeatIndex = state.beats.indexOf(issue.beat);
+    drawWaveformAndOverlay();
+    updateEditButtons();
+  }
+
+  function renderQaPanel() {
+    const issues = state.qaIssues;
+    if (qaCountEl) qaCountEl.textContent = state.beats.length ? `(${issues.length} issue${issues.length === 1 ? "" : "s"})` : "";
+    if (qaFixAllBtn) qaFixAllBtn.disabled = issues.length === 0;
+    if (qaReportBtn) qaReportBtn.disabled = state.beats.length === 0;
+    if (!qaList) return;
+
+    qaList.innerHTML = "";
+    for (const issue of issues) {
+      const li = document.createElement("li");
+      li.style.cursor = "pointer";
+      li.style.padding = "2px 6px";
+      li.style.borderRadius = "4px";
+      const pos = issue.beat.bar != null ? ` · ${issue.beat.bar}:${issue.beat.beatInBar}` : "";
+      const text = document.createElement("span");
+      text.textContent = `${fmt3(issue.time)}s${pos} · ${QA_KINDS[issue.kind]}: ${issue.detail} `;
+      const fix = document.createElement("button");
+      fix.textContent = "Fix";
+      fix.style.margin = "0 0 0 6px";
+      fix.style.padding = "1px 8px";
+      fix.addEventListener("click", (e) => {
+        e.stopPropagation();
+        fixGridIssues([issue], `Fix: ${issueLabel(issue)}`);
+      });
+      li.append(text, fix);
+      li.addEventListener("click", () => jumpToIssue(issue));
+      qaList.appendChild(li);
+    }
+  }
+
+  // Plain-text report of the grid and its open issues, plus the edits made so far
+  function buildQaReport() {
+    const beats = state.beats;
+    const issues = state.qaIssues;
+    const lines = [];
+    lines.push("Beat grid QA report");
+    lines.push(`File: ${state.sourceFile ? state.sourceFile.name : state.fileBaseName || "(none)"}`);
+    lines.push(`Created: ${new Date().toISOString()}`);
+    lines.push(`Beats: ${beats.length}` + (beats.length ? `, ${fmt3(beats[0].time)}s – ${fmt3(beats[beats.length - 1].time)}s` : ""));
+    lines.push(`Timecode: ${timecodeNote()}`);
+    const fit = state.regularize.enabled ? fitSummary(beats) : null;
+    if (fit) lines.push(`Tempo fit: ${fit.segments} segments (${fit.ramps} ramps), residual max ${fit.maxMs.toFixed(2)}ms, RMS ${fit.rmsMs.toFixed(2)}ms`);
+    const interpolated = beats.filter(b => b.interpolated).length;
+    if (interpolated) lines.push(`Interpolated beats: ${interpolated}`);
+    lines.push("");
+
+    const counts = Object.keys(QA_KINDS).map(k => [k, issues.filter(i => i.kind === k).length]).filter(([, n]) => n);
+    lines.push(`Open issues: ${issues.length}` + (counts.length ? ` (${counts.map(([k, n]) => `${n} ${QA_KINDS[k].toLowerCase()}`).join(", ")})` : ""));
+    issues.forEach((issue, n) => {
+      const pos = issue.beat.bar != null ? `${issue.beat.bar}:${issue.beat.beatInBar}` : "-";
+      lines.push(`${n + 1}. ${fmt3(issue.time)}s  TC ${timecodeAt(issue.time)}  bar ${pos}  ${QA_KINDS[issue.kind]}: ${issue.detail}`);
+    });
+    lines.push("");
+
+    lines.push("Edits:");
+    history.entries.slice(1, history.index + 1).forEach((entry, n) => lines.push(`${n + 1}. ${entry.label}`));
+    if (history.index < 1) lines.push("(none)");
+    return lines.join("\n") + "\n";
+  }
+
+  function downloadQaReport() {
+    const blob = new Blob([buildQaReport()], { type: "text/plain;charset=utf-8" });
+    saveBlob(blob, `${state.fileBaseName || "click-track"} QA Report.txt`);
+  }
+
+  // ---------- HISTORY (undo/redo) ----------
+  // Each entry holds the grid as it was AFTER the labelled change; entry 0 is the starting point.
+  const HISTORY_LIMIT = 100;
+  const history = { entries: [], index: -1 };
+
+  function captureSnapshot() {
+    return {
+      beats: state.beats.map(b => ({ ...b })),
+      beatsPerBar: state.beatsPerBar,
+      meterPins: state.meterPins.map(p => ({ ...p })),
+      sections: state.sections.map(sec => ({ ...sec })),
+      area: copyArea(state.area),
+      selectedBeatIndex: state.selectedBeatIndex
+    };
+  }
+
+  function restoreSnapshot(snap) {
+    // region and exclusions come back, region-relative times stay as set now
+    const areaBefore = JSON.stringify(state.area);
+    state.area = { ...copyArea(snap.area), rebase: state.area.rebase };
+    // tempo outputs follow the current regularization setting, not the one at snapshot time
+    state.beats = computeTempoOutputs(snap.beats.map(b => ({ ...b })));
+    state.beatsPerBar = snap.beatsPerBar;
+    state.meterPins = snap.meterPins.map(p => ({ ...p }));
+    state.sections = snap.sections.map(sec => ({ ...sec }));
+    state.selectedBeatIndex = snap.selectedBeatIndex < state.beats.length ? snap.selectedBeatIndex : -1;
+    refreshBeatViews();
+    if (JSON.stringify(state.area) !== areaBefore) refreshDetectionPreview();
+  }
+
+  function recordHistory(label) {
+    // A new change after undo discards the redo branch
+    history.entries.length = history.index + 1;
+    history.entries.push({ label, snapshot: captureSnapshot() });
+    if (history.entries.length > HISTORY_LIMIT) history.entries.shift();
+    history.index = history.entries.length - 1;
+    renderHistory();
+    scheduleAutosave();
+  }
+
+  function goToHistory(index) {
+    if (index < 0 || index >= history.entries.length || index === history.index) return false;
+    history.index = index;
+    restoreSnapshot(history.entries[index].snapshot);
+    renderHistory();
+    scheduleAutosave();
+    return true;
+  }
+
+  // Start over with one entry, e.g. when the editor switches to another song
+  function resetHistory(label) {
+    history.entries.length = 0;
+    history.index = -1;
+    recordHistory(label);
+  }
+
+  const undo = () => goToHistory(history.index - 1);
+  const redo = () => goToHistory(history.index + 1);
+
+  function renderHistory() {
+    if (undoBtn) undoBtn.disabled = history.index <= 0;
+    if (redoBtn) redoBtn.disabled = history.index >= history.entries.length - 1;
+    if (!historyList) return;
+
+    historyList.innerHTML = "";
+    history.entries.forEach((entry, i) => {
+      const li = document.createElement("li");
+      li.textContent = entry.label;
+      li.style.cursor = "pointer";
+      li.style.padding = "2px 6px";
+      li.style.borderRadius = "4px";
+      if (i === history.index) {
+        li.style.background = "#1e3a8a";
+        li.style.fontWeight = "600";
+      } else if (i > history.index) {
+        li.style.color = "#64748b"; // undone, still redoable
+      }
+      li.addEventListener("click", () => goToHistory(i));
+      historyList.appendChild(li);
+    });
+    const current = historyList.children[history.index];
+    if (current && current.scrollIntoView) current.scrollIntoView({ block: "nearest" });
+  }
+
+  // ---------- PLAYBACK ----------
+  // The track plays through audioCtx. Metronome clicks are scheduled slightly ahead on the
+  // audio clock (lookahead scheduler), so they stay locked to the track instead of to timers.
+  const METRO_LOOKAHEAD = 0.12; // seconds scheduled ahead of currentTime
+  const METRO_INTERVAL = 25;    // ms between scheduler runs
+
+  const trackGain = audioCtx.createGain();
+  const metroGain = audioCtx.createGain();
+  trackGain.connect(audioCtx.destination);
+  metroGain.connect(audioCtx.destination);
+
+  const playback = {
+    playing: false,
+    source: null,
+    startedAt: 0,       // audioCtx time the source was started
+    offset: 0,          // song time at startedAt (paused position when stopped)
+    loop: null,         // {start, end} in seconds while looping
+    scheduledUntil: 0,  // audioCtx time the metronome is scheduled up to
+    clicks: new Set(),  // pending metronome oscillators
+    metroTimer: 0,
+    raf: 0,
+    startId: 0          // bumped by each start and stop; a start still waiting on the context checks it
+  };
+
+  const audioDuration = () => (state.audioBuffer ? state.audioBuffer.duration : 0);
+
+  function fmtClock(sec) {
+    const m = Math.floor(sec / 60);
+    const s = sec - m * 60;
+    return `${m}:${s < 10 ? "0" : ""}${s.toFixed(3)}`;
+  }
+
+  // Song position at an audioCtx time, folded into the loop range while looping
+  function songTimeAt(ctxTime) {
+    let t = playback.offset + (ctxTime - playback.startedAt);
+    const loop = playback.loop;
+    if (loop && t >= loop.end) t = loop.start + ((t - loop.start) % (loop.end - loop.start));
+    return t;
+  }
+
+  function playheadTime() {
+    return playback.playing ? songTimeAt(audioCtx.currentTime) : playback.offset;
+  }
+
+  function activeLoop() {
+    const sel = state.selection;
+    if (!loopChk || !loopChk.checked || !sel || sel.end - sel.start < 0.05) return null;
+    return { start: sel.start, end: sel.end };
+  }
+
+  async function startPlayback(from) {
+    if (!state.audioBuffer) return;
+    const startId = ++playback.startId;
+    await audioCtx.resume();
+    if (startId !== playback.startId) return; // started again or stopped meanwhile
+    stopSource();
+
+    const loop = activeLoop();
+    let offset = clamp(from, 0, audioDuration());
+    if (loop && (offset < loop.start || offset >= loop.end)) offset = loop.start;
+    if (!loop && offset >= audioDuration()) offset = 0;
+
+    const src = audioCtx.createBufferSource();
+    src.buffer = state.audioBuffer;
+    if (loop) {
+      src.loop = true;
+      src.loopStart = loop.start;
+      src.loopEnd = loop.end;
+    }
+    src.connect(trackGain);
+    src.onended = () => { if (playback.source === src) stopPlayback(); };
+
+    playback.source = src;
+    playback.loop = loop;
+    playback.offset = offset;
+    playback.startedAt = audioCtx.currentTime;
+    playback.scheduledUntil = playback.startedAt;
+    playback.playing = true;
+    src.start(playback.startedAt, offset);
+
+    scheduleMetronome();
+    playback.metroTimer = setInterval(scheduleMetronome, METRO_INTERVAL);
+    playback.raf = requestAnimationFrame(tickPlayhead);
+    updateTransport();
+  }
+
+  function stopSource() {
+    const src = playback.source;
+    playback.source = null;
+    playback.startId++;
+    if (src) {
+      try { src.stop(); } catch (_) { /* never started */ }
+      src.disconnect();
+    }
+    for (const osc of playback.clicks) {
+      try { osc.stop(); } catch (_) { /* already ended */ }
+    }
+    playback.clicks.clear();
+    clearInterval(playback.metroTimer);
+    cancelAnimationFrame(playback.raf);
+    playback.playing = false;
+  }
+
+  function pausePlayback() {
+    if (!playback.playing) return;
+    const t = playheadTime();
+    stopSource();
+    playback.offset = t;
+    updateTransport();
+    drawMarkerLayer();
+  }
+
+  function stopPlayback() {
+    stopSource();
+    playback.offset = 0;
+    updateTransport();
+    drawMarkerLayer();
+  }
+
+  function togglePlayback() {
+    if (playback.playing) pausePlayback();
+    else startPlayback(playback.offset);
+  }
+
+  function seekTo(t) {
+    if (playback.playing) {
+      startPlayback(t);
+      return;
+    }
+    playback.offset = clamp(t, 0, audioDuration());
+    updateTransport();
+    drawMarkerLayer();
+  }
+
+  function scheduleMetronome() {
+    if (!playback.playing) return;
+    const horizon = audioCtx.currentTime + METRO_LOOKAHEAD;
+    let from = Math.max(playback.scheduledUntil, audioCtx.currentTime);
+
+    if (metroChk && metroChk.checked) {
+      const beats = state.beats;
+      while (from < horizon) {
+        const songFrom = songTimeAt(from);
+        // Split at the loop seam so beats after the wrap are looked up from loop.start
+        let segEnd = horizon;
+        if (playback.loop) segEnd = Math.min(segEnd, from + (playback.loop.end - songFrom));
+        const songTo = songFrom + (segEnd - from);
+
+        for (let i = lowerBoundBeat(beats, songFrom); i < beats.length && beats[i].time < songTo; i++) {
+          playClick(from + (beats[i].time - songFrom), beats[i].downbeat);
+        }
+        from = segEnd;
+      }
+    }
+    playback.scheduledUntil = horizon;
+  }
+
+  // Short decaying sine blip; downbeats an octave above the other beats
+  function playClick(when, downbeat) {
+    const osc = audioCtx.createOscillator();
+    const env = audioCtx.createGain();
+    osc.frequency.value = downbeat ? 1760 : 880;
+    env.gain.setValueAtTime(0.0001, when);
+    env.gain.exponentialRampToValueAtTime(1, when + 0.001);
+    env.gain.exponentialRampToValueAtTime(0.0001, when + 0.05);
+    osc.connect(env);
+    env.connect(metroGain);
+    osc.onended = () => {
+      playback.clicks.delete(osc);
+      env.disconnect();
+    };
+    playback.clicks.add(osc);
+    osc.start(when);
+    osc.stop(when + 0.06);
+  }
+
+  function tickPlayhead() {
+    if (!playback.playing) return;
+    // the waveform only changes when the view pages along
+    if (followPlayhead(playheadTime())) drawWaveformAndOverlay();
+    else drawMarkerLayer();
+    updateClock();
+    playback.raf = requestAnimationFrame(tickPlayhead);
+  }
+
+  // Auto-scroll: when the playhead leaves the view, page so it sits near the left edge.
+  // True when the view moved.
+  function followPlayhead(t) {
+    if (!followChk || !followChk.checked || !state.samples) return false;
+    const { start, end } = getViewRange();
+    const pos = t * state.sampleRate;
+    if (pos >= start && pos <= end) return false;
+
+    const viewLen = end - start;
+    const maxStart = Math.max(0, state.samples.length - viewLen);
+    const newStart = clamp(pos - viewLen * 0.05, 0, maxStart);
+    state.scroll = maxStart ? (newStart / maxStart) : 0;
+    syncScrollSliderToState();
+    return true;
+  }
+
+  function updateClock() {
+    if (clockValEl) clockValEl.textContent = fmtClock(playheadTime());
+  }
+
+  function updateTransport() {
+    if (playBtn) {
+      playBtn.disabled = !state.audioBuffer;
+      playBtn.textContent = playback.playing ? "Pause" : "Play";
+    }
+    if (stopBtn) stopBtn.disabled = !state.audioBuffer;
+    updateClock();
+  }
+
+  // ---------- TIMECODE ----------
+  // Conversions are in beatgrid-core.js; these default to the editor's setting
+  const timecodeRate = (tc = state.timecode) => BeatGridCore.timecodeRate(tc);
+  const timecodeOffsetSeconds = (tc = state.timecode) => BeatGridCore.timecodeOffsetSeconds(tc);
+  const timecodeFromOffset = (seconds) => BeatGridCore.timecodeFromOffset(seconds, state.timecode);
+  const timecodeNote = (tc = state.timecode) => BeatGridCore.timecodeNote(tc);
+  const timecodeAt = (time) => BeatGridCore.timecodeAt(time, state.timecode);
+
+  // ---------- MA3 LUA/XML  ----------
+  function downloadXmlFromState() {
+    if (!state.beats || state.beats.length === 0) return;
+
+    const grid = exportedGrid();
+    const lua = buildLuaFromClickBeats(grid.beats, state.fileBaseName, {
+      timecode: state.timecode,
+      beatsPerBar: state.beatsPerBar,
+      markerStyle: state.markerStyle,
+      sections: grid.sections,
+      sectionExport: state.sectionExport
+    });
+    const blocks = splitLuaIntoBase64Blocks(lua, 1024);
+    const xml = buildXmlWithLuaBase64(blocks, state.fileBaseName);
 
     const blob = new Blob([xml], { type: "application/xml;charset=utf-8" });
+    saveBlob(blob, `${state.fileBaseName || "click-track"} Beat Importer.xml`);
+  }
+
+  function saveBlob(blob, filename) {
     const url = URL.createObjectURL(blob);
 
     const a = document.createElement("a");
     a.href = url;
-    a.download = `${state.fileBaseName || "click-track"} Beat Importer.xml`;
+    a.download = filename;
     document.body.appendChild(a);
     a.click();
     a.remove();
@@ -624,7 +2361,796 @@ ctx2d.stroke();
     URL.revokeObjectURL(url);
   }
 
+  // ---------- MIDI TEMPO MAP ----------
+  // The file itself is written by buildMidiTempoMap in beatgrid-core.js
+  function downloadMidiFromState() {
+    if (!state.beats || state.beats.length === 0) return;
+
+    const bytes = buildMidiTempoMap(exportedGrid().beats, {
+      tempoMode: midiTempoSel ? midiTempoSel.value : "exact",
+      markers: midiMarkersChk ? midiMarkersChk.checked : true,
+      notes: midiNotesChk ? midiNotesChk.checked : true,
+      beatsPerBar: state.beatsPerBar,
+      name: state.fileBaseName || "click-track"
+    });
+    saveBlob(new Blob([bytes], { type: "audio/midi" }), `${state.fileBaseName || "click-track"} Tempo Map.mid`);
+  }
+
+  // ---------- TEMPO MAP IMPORT ----------
+  // A MIDI tempo/time-signature track or a CSV of beat times (parsed in beatgrid-core.js)
+  // becomes state.beats, and from there it is exported like a detected grid.
+
+  // How an imported grid lines up with the detected one: median/max offset of matched beats
+  function compareGrids(beats, reference) {
+    const offsets = [];
+    let unmatched = 0;
+    for (const b of beats) {
+      const j = lowerBoundBeat(reference, b.time);
+      let d = Infinity;
+      if (j < reference.length) d = reference[j].time - b.time;
+      if (j > 0 && Math.abs(reference[j - 1].time - b.time) < Math.abs(d)) d = reference[j - 1].time - b.time;
+      if (Math.abs(d) <= 0.1) offsets.push(d); else unmatched++;
+    }
+    if (!offsets.length) return "no beats within 100ms of the detected grid";
+    const sorted = offsets.slice().sort((a, b) => a - b);
+    const med = sorted[Math.floor(sorted.length / 2)];
+    const max = sorted.reduce((m, d) => Math.max(m, Math.abs(d)), 0);
+    return `detected grid ${med >= 0 ? "+" : ""}${(med * 1000).toFixed(1)}ms median, ${(max * 1000).toFixed(1)}ms max` +
+      (unmatched ? `, ${unmatched} beats unmatched` : "");
+  }
+
+  // With audio loaded, keep what was there (the detected grid, or the clicks detection
+  // would pick) as the comparison overlay for an imported grid. null without audio.
+  function comparisonGrid() {
+    if (!state.samples) return null;
+    const detected = state.beats.length ? state.beats : ((updateDetectionPreview() || {}).clicks || []).map(time => ({ time, downbeat: 0 }));
+    return detected.map(b => ({ time: b.time, downbeat: b.downbeat }));
+  }
+
+  async function importTempoMap(file) {
+    if (/\.xml$/i.test(file.name)) return importBeatImporterXml(file);
+    const isMidi = /\.midi?$/i.test(file.name);
+    const minSeconds = state.audioBuffer ? state.audioBuffer.duration : 0;
+    const parsed = isMidi
+      ? parseMidiTempoMap(new Uint8Array(await file.arrayBuffer()), minSeconds)
+      : parseBeatCsv(await file.text());
+
+    const compare = comparisonGrid();
+    if (!compare) state.fileBaseName = baseFileName(file.name);
+    state.compareBeats = compare;
+    state.beatsPerBar = parsed.beatsPerBar;
+    setBeats(parsed.beats, null, `Import ${file.name}`);
+
+    if (importInfoEl) {
+      importInfoEl.textContent = `Imported ${parsed.beats.length} beats from ${file.name}` +
+        (compare && compare.length ? ` · ${compareGrids(parsed.beats, compare)}` : "");
+    }
+  }
+
+  // A Beat Importer plugin exported earlier (maybe long ago, the audio since lost): its grid,
+  // name and sections come back for editing and re-export with the current settings. A
+  // setlist plugin fills the setlist, one done song per song in it.
+  async function importBeatImporterXml(file) {
+    const plugin = parseBeatImporterXml(await file.text());
+    if (plugin.songs.length > 1) {
+      storeActiveSong();
+      const first = setlist.songs.length;
+      for (const song of plugin.songs) {
+        setlist.songs.push({
+          id: setlist.nextId++,
+          file: null,
+          name: song.name,
+          timecode: song.timecode,
+          status: "done",
+          message: `${song.beats.length} beats`,
+          grid: {
+            beats: song.beats,
+            beatsPerBar: song.beatsPerBar,
+            meterPins: [],
+            sections: song.sections,
+            timecode: timecodeFromOffset(song.timecodeOffset),
+            area: copyArea(DEFAULT_AREA),
+            regularize: { ...DEFAULT_REGULARIZE }
+          }
+        });
+      }
+      if (setlistNameEl && plugin.pluginName) setlistNameEl.value = plugin.pluginName;
+      await reviewSong(setlist.songs[first]);
+      if (importInfoEl) importInfoEl.textContent = `Imported ${plugin.songs.length} songs from ${file.name} into the setlist`;
+      return;
+    }
+
+    const song = plugin.songs[0];
+    const compare = comparisonGrid();
+    if (!compare) state.fileBaseName = song.name;
+    state.compareBeats = compare;
+    state.beatsPerBar = song.beatsPerBar;
+    state.meterPins = [];
+    state.sections = song.sections;
+    // the plugin places markers at timecodeOffset + beat time: that's the song start
+    state.timecode = timecodeFromOffset(song.timecodeOffset);
+    syncTimecodeControls();
+    setBeats(song.beats, null, `Import ${file.name}`);
+
+    if (importInfoEl) {
+      importInfoEl.textContent = `Imported ${song.beats.length} beats` +
+        (song.sections.length ? ` and ${song.sections.length} section${song.sections.length === 1 ? "" : "s"}` : "") + ` of "${song.name}" from ${file.name}` +
+        (compare && compare.length ? ` · ${compareGrids(song.beats, compare)}` : "");
+    }
+  }
+
+  // ---------- PROJECTS ----------
+  // A project file is the session as JSON: which audio it belongs to (name, size, SHA-256),
+  // the analysis and export settings, the edited grid and the view. Beats keep only what was
+  // measured or edited; tempo, bars and sections are derived again on open. The audio itself
+  // isn't in the file: open it with the project (or pick it afterwards) to get the waveform
+  // back; without it the grid can still be edited and exported.
+  // source of the open project, until its audio is attached: {name, size, sha256}
+  let projectSource = null;
+
+  const fileHashes = new WeakMap(); // File → Promise of its hex SHA-256 (null if unavailable)
+
+  function fileSha256(file) {
+    if (!fileHashes.has(file)) {
+      const subtle = window.crypto && window.crypto.subtle;
+      const hex = (buf) => Array.from(new Uint8Array(buf), x => x.toString(16).padStart(2, "0")).join("");
+      fileHashes.set(file, subtle
+        ? file.arrayBuffer().then(buf => subtle.digest("SHA-256", buf)).then(hex, () => null)
+        : Promise.resolve(null));
+    }
+    return fileHashes.get(file);
+  }
+
+  // Same name and size, and the same content when both hashes are known
+  async function audioMatchesSource(file, source) {
+    if (!file || !source || file.name !== source.name || file.size !== source.size) return false;
+    if (!source.sha256) return true;
+    const hash = await fileSha256(file);
+    return !hash || hash === source.sha256;
+  }
+
+  async function buildProject() {
+    const file = state.sourceFile;
+    const pick = (b) => {
+      const out = {};
+      for (const key of PROJECT_BEAT_FIELDS) if (b[key] !== undefined) out[key] = b[key];
+      return out;
+    };
+    return {
+      format: PROJECT_FORMAT,
+      version: PROJECT_VERSION,
+      savedAt: new Date().toISOString(),
+      source: file ? { name: file.name, size: file.size, sha256: await fileSha256(file) } : projectSource,
+      fileBaseName: state.fileBaseName,
+      sampleRate: state.sampleRate,
+      channels: state.audioBuffer ? state.audioBuffer.numberOfChannels : null,
+      analysis: {
+        mode: modeSel ? modeSel.value : "click",
+        channel: channelSel ? channelSel.value : "auto",
+        detection: { ...state.detection },
+        bandpass: { ...state.bandpass },
+        classifier: { ...state.classifier },
+        regularize: { ...state.regularize },
+        area: copyArea(state.area)
+      },
+      grid: {
+        beats: state.beats.map(pick),
+        beatsPerBar: state.beatsPerBar,
+        meterPins: state.meterPins.map(p => ({ ...p })),
+        sections: state.sections.map(sec => ({ ...sec }))
+      },
+      export: {
+        timecode: { ...state.timecode },
+        markerStyle: { ...state.markerStyle },
+        sectionExport: { ...state.sectionExport },
+        midi: {
+          tempoMode: midiTempoSel ? midiTempoSel.value : "exact",
+          markers: midiMarkersChk ? midiMarkersChk.checked : true,
+          notes: midiNotesChk ? midiNotesChk.checked : true
+        }
+      },
+      view: {
+        zoom: state.zoom,
+        scroll: state.scroll,
+        channelView: channelViewSel ? channelViewSel.value : "analyzed",
+        selection: state.selection ? { ...state.selection } : null,
+        selectedBeatIndex: state.selectedBeatIndex
+      }
+    };
+  }
+
+  async function downloadProject() {
+    const project = await buildProject();
+    const name = `${state.fileBaseName || "click-track"}.beatgrid.json`;
+    saveBlob(new Blob([JSON.stringify(project, null, 2)], { type: "application/json" }), name);
+    if (projectInfoEl) projectInfoEl.textContent = `Saved ${name}`;
+  }
+
+  function restoreView(view) {
+    if (!view) return;
+    // the timeline may not be in place yet: the zoom is kept to its limit when drawn
+    state.zoom = Math.max(1, Number(view.zoom) || 1);
+    state.scroll = clamp(Number(view.scroll) || 0, 0, 1);
+    syncZoomSliderToState();
+    syncScrollSliderToState();
+    if (channelViewSel && view.channelView) channelViewSel.value = view.channelView;
+    state.selection = view.selection ? { ...view.selection } : null;
+  }
+
+  // Settings → state and controls (the audio is loaded first: loadAudio resets some of them)
+  function applyProjectSettings(project) {
+    const a = project.analysis || {};
+    const ex = project.export || {};
+    state.detection = { ...DEFAULT_DETECTION, ...a.detection };
+    if (sensitivityEl) sensitivityEl.value = String(Math.round(state.detection.sensitivity * 100));
+    if (minGapEl) minGapEl.value = String(state.detection.minGapMs);
+    if (peakSearchEl) peakSearchEl.value = String(state.detection.peakSearchMs);
+    syncDetectionControls();
+    state.bandpass = { ...state.bandpass, ...a.bandpass };
+    syncBandpassControls();
+    state.classifier = { ...DEFAULT_CLASSIFIER, ...a.classifier };
+    syncClassifierControls();
+    state.regularize = { ...state.regularize, ...a.regularize };
+    syncFitControls();
+    state.area = copyArea({ ...DEFAULT_AREA, ...a.area });
+
+    if (ex.timecode) state.timecode = { ...ex.timecode };
+    syncTimecodeControls();
+    state.markerStyle = { ...DEFAULT_MARKER_STYLE, ...ex.markerStyle };
+    syncMarkerStyleControls();
+    state.sectionExport = { ...state.sectionExport, ...ex.sectionExport };
+    if (sectionExportSel) sectionExportSel.value = state.sectionExport.mode;
+    if (sectionTrackGroupEl) sectionTrackGroupEl.value = String(state.sectionExport.trackGroup);
+    readSectionExportControls();
+    const midi = ex.midi || {};
+    if (midiTempoSel && midi.tempoMode) midiTempoSel.value = midi.tempoMode;
+    if (midiMarkersChk && midi.markers != null) midiMarkersChk.checked = midi.markers;
+    if (midiNotesChk && midi.notes != null) midiNotesChk.checked = midi.notes;
+  }
+
+  function checkProject(project) {
+    if (!project || project.format !== PROJECT_FORMAT) throw new Error("not a beat grid project file");
+    if (project.version > PROJECT_VERSION) throw new Error(`project version ${project.version} is newer than this app`);
+  }
+
+  // Replace the session with a project. audioFile (optional) must be the project's source.
+  async function applyProject(project, audioFile = null) {
+    checkProject(project);
+    const grid = project.grid || {};
+    const a = project.analysis || {};
+    stopPlayback();
+
+    if (modeSel && a.mode) modeSel.value = a.mode;
+    if (channelSel && a.channel) {
+      populateChannelOptions(project.channels || 0);
+      channelSel.value = a.channel;
+      if (!channelSel.value) channelSel.value = "auto";
+    }
+    if (audioFile) {
+      await loadAudio(audioFile);
+      projectSource = null;
+    } else {
+      unloadAudio(project.sampleRate || 44100);
+      projectSource = project.source || null;
+      if (channelInfoEl) {
+        channelInfoEl.textContent = projectSource ? `No audio: open ${projectSource.name} to see the waveform and play along` : "";
+      }
+    }
+    state.fileBaseName = project.fileBaseName || (project.source ? baseFileName(project.source.name) : "click-track");
+    applyProjectSettings(project);
+
+    state.beatsPerBar = grid.beatsPerBar || 4;
+    state.meterPins = (grid.meterPins || []).map(p => ({ ...p }));
+    state.sections = (grid.sections || []).map(sec => ({ ...sec }));
+    restoreView(project.view);
+    const beats = (grid.beats || []).map(b => ({ centroid: 0, downbeat: 0, ...b }));
+    setBeats(beats, beats[project.view ? project.view.selectedBeatIndex : -1] || null);
+    refreshDetectionPreview();
+    resetHistory(`Open project ${state.fileBaseName}`);
+  }
+
+  // The project's audio picked after the fact: load it under the grid and view as they are
+  async function attachProjectAudio(file) {
+    const keep = {
+      view: { zoom: state.zoom, scroll: state.scroll, selection: state.selection },
+      meterPins: state.meterPins,
+      sections: state.sections,
+      firstDownbeat: state.classifier.firstDownbeat,
+      area: state.area,
+      selectedBeatIndex: state.selectedBeatIndex
+    };
+    await loadAudio(file);
+    projectSource = null;
+    state.meterPins = keep.meterPins;
+    state.sections = keep.sections;
+    state.classifier.firstDownbeat = keep.firstDownbeat;
+    state.area = keep.area;
+    restoreView(keep.view);
+    state.selectedBeatIndex = keep.selectedBeatIndex < state.beats.length ? keep.selectedBeatIndex : -1;
+    refreshBeatViews();
+    refreshDetectionPreview();
+  }
+
+  // Project file plus (optionally) its audio, picked together
+  async function openProjectFiles(files) {
+    const projectFile = files.find(f => /\.json$/i.test(f.name));
+    if (!projectFile) throw new Error("pick a .json project file");
+    const project = JSON.parse(await projectFile.text());
+    checkProject(project);
+    const audio = files.find(f => f !== projectFile) || null;
+    const matches = audio ? await audioMatchesSource(audio, project.source) : false;
+    if (analysisJob || setlist.running) throw new Error("wait for the analysis to finish");
+    storeActiveSong();
+    setlist.activeId = null;
+    renderSetlist();
+    await applyProject(project, matches ? audio : null);
+
+    let note = `Opened ${projectFile.name}: ${state.beats.length} beats`;
+    if (audio && !matches) note += ` · ${audio.name} isn't this project's audio (${project.source ? project.source.name : "none saved"})`;
+    else if (!matches && project.source) note += ` · no audio: open ${project.source.name} to restore the waveform`;
+    if (projectInfoEl) projectInfoEl.textContent = note;
+  }
+
+  // ---------- AUTOSAVE ----------
+  // The session goes to IndexedDB a moment after every grid change (and when the page is
+  // hidden), and comes back on the next visit. The audio is stored separately, only when
+  // the source file changes and isn't huge.
+  const AUTOSAVE_DB = "clicktrack-beatgrid";
+  const AUTOSAVE_STORE = "sessions";
+  const AUTOSAVE_DELAY = 1500; // ms of quiet before saving
+  const AUTOSAVE_AUDIO_LIMIT = 200 * 1024 * 1024; // bytes
+  const autosave = { ready: false, timer: 0, audio: undefined, db: null };
+
+  function sessionDb() {
+    if (!autosave.db) {
+      autosave.db = new Promise((resolve, reject) => {
+        const req = indexedDB.open(AUTOSAVE_DB, 1);
+        req.onupgradeneeded = () => req.result.createObjectStore(AUTOSAVE_STORE);
+        req.onsuccess = () => resolve(req.result);
+        req.onerror = () => reject(req.error);
+      });
+    }
+    return autosave.db;
+  }
+
+  // Run fn(store) in one transaction; resolves with the result of the request fn returns
+  async function sessionStore(mode, fn) {
+    const db = await sessionDb();
+    return new Promise((resolve, reject) => {
+      const tx = db.transaction(AUTOSAVE_STORE, mode);
+      const req = fn(tx.objectStore(AUTOSAVE_STORE));
+      tx.oncomplete = () => resolve(req ? req.result : undefined);
+      tx.onerror = () => reject(tx.error);
+      tx.onabort = () => reject(tx.error);
+    });
+  }
+
+  function scheduleAutosave() {
+    if (!autosave.ready) return;
+    clearTimeout(autosave.timer);
+    autosave.timer = setTimeout(() => autosaveNow(), AUTOSAVE_DELAY);
+  }
+
+  async function autosaveNow() {
+    clearTimeout(autosave.timer);
+    if (!autosave.ready) return;
+    try {
+      const project = await buildProject();
+      const file = state.sourceFile;
+      await sessionStore("readwrite", store => {
+        if (file !== autosave.audio) store.put(file && file.size <= AUTOSAVE_AUDIO_LIMIT ? file : null, "audio");
+        return store.put(project, "project");
+      });
+      autosave.audio = file;
+    } catch (err) {
+      console.warn("Autosave failed", err);
+    }
+  }
+
+  // Without IndexedDB (e.g. some private windows) autosave stays off
+  async function restoreAutosave() {
+    if (!window.indexedDB) return;
+    try {
+      const [project, audio] = await Promise.all([
+        sessionStore("readonly", store => store.get("project")),
+        sessionStore("readonly", store => store.get("audio"))
+      ]);
+      if (project && project.grid && (project.grid.beats.length || project.source)) {
+        const matches = await audioMatchesSource(audio, project.source);
+        await applyProject(project, matches ? audio : null);
+        autosave.audio = matches ? audio : undefined;
+        if (projectInfoEl) projectInfoEl.textContent = `Restored the last session (${project.savedAt ? new Date(project.savedAt).toLocaleString() : "autosave"})`;
+      }
+    } catch (err) {
+      console.warn("Autosave restore failed", err);
+    }
+    autosave.ready = true;
+  }
+
+  // ---------- CLICK ANALYSIS ----------
+  // Detection plus a spectral centroid per click for a whole file. Runs in analysis-worker.js
+  // when the page can start one; where it can't (e.g. opened from file://) the same code runs
+  // here in slices so the page keeps painting. Either way it shows progress and can be canceled.
+  const ANALYSIS_SLICE = 64; // clicks between repaints in the in-page fallback
+  const WORKER_CHUNK = 1 << 20; // samples per message when handing the audio to the worker
+  let analysisWorkerUsable = typeof Worker === "function";
+  let analysisJob = null; // {cancel} while a file is being analyzed
+
+  function analysisCanceledError() {
+    const err = new Error("Analysis canceled");
+    err.name = "AbortError";
+    return err;
+  }
+
+  function showAnalysisProgress(done, total) {
+    if (analysisProgressEl) {
+      analysisProgressEl.style.display = "";
+      if (total) {
+        analysisProgressEl.max = total;
+        analysisProgressEl.value = done;
+      } else {
+        analysisProgressEl.removeAttribute("value"); // indeterminate while detecting
+      }
+    }
+    if (cancelAnalysisBtn) cancelAnalysisBtn.style.display = "";
+    output.textContent = total ? `Analyzing clicks… ${done}/${total}` : "Detecting clicks…";
+  }
+
+  function hideAnalysisProgress() {
+    if (analysisProgressEl) analysisProgressEl.style.display = "none";
+    if (cancelAnalysisBtn) cancelAnalysisBtn.style.display = "none";
+  }
+
+  function analyzeClicksInWorker(job, samples, sr) {
+    return new Promise((resolve, reject) => {
+      // Chrome refuses workers on file:// pages with a SecurityError thrown right here
+      let worker;
+      try {
+        worker = new Worker("analysis-worker.js");
+      } catch (e) {
+        const err = new Error(e.message || "Analysis worker could not start");
+        err.workerUnavailable = true;
+        reject(err);
+        return;
+      }
+      let heard = false;
+      job.cancel = () => {
+        worker.terminate();
+        reject(analysisCanceledError());
+      };
+      worker.onmessage = (e) => {
+        const msg = e.data;
+        heard = true;
+        if (msg.type === "progress") {
+          showAnalysisProgress(msg.done, msg.total);
+          return;
+        }
+        worker.terminate();
+        if (msg.type === "done") resolve(msg);
+        else reject(new Error(msg.message));
+      };
+      worker.onerror = (e) => {
+        e.preventDefault();
+        worker.terminate();
+        const err = new Error(e.message || "Analysis worker failed");
+        err.workerUnavailable = !heard; // never started: fall back to the page
+        reject(err);
+      };
+
+      // The worker builds its own copy a chunk at a time: the page keeps drawing from
+      // state.samples and never holds a second copy of a whole channel
+      try {
+        worker.postMessage({
+          type: "start",
+          length: samples.length,
+          sampleRate: sr,
+          detection: { ...state.detection },
+          bandpass: { ...state.bandpass },
+          area: copyArea(state.area)
+        });
+        for (let at = 0; at < samples.length; at += WORKER_CHUNK) {
+          const chunk = samples.slice(at, at + WORKER_CHUNK);
+          worker.postMessage({ type: "samples", at, chunk }, [chunk.buffer]);
+        }
+        worker.postMessage({ type: "analyze" });
+      } catch (e) {
+        worker.terminate();
+        const err = new Error(e.message || "Analysis worker could not start");
+        err.workerUnavailable = true;
+        reject(err);
+      }
+    });
+  }
+
+  async function analyzeClicksInPage(job, samples, sr) {
+    let canceled = false;
+    job.cancel = () => { canceled = true; };
+    const nextTick = () => new Promise(r => setTimeout(r, 0));
+    await nextTick(); // let the status paint
+
+    // the same pass feeds the detection preview
+    const { clicks } = updateDetectionPreview();
+    const centroids = new Float64Array(clicks.length);
+    const levels = new Float64Array(clicks.length);
+    for (let i = 0; i < clicks.length; i++) {
+      if (i % ANALYSIS_SLICE === 0) {
+        showAnalysisProgress(i, clicks.length);
+        await nextTick();
+        if (canceled) throw analysisCanceledError();
+      }
+      centroids[i] = analyzeCentroid(samples, sr, clicks[i]);
+      levels[i] = clickLevelDb(samples, sr, clicks[i]);
+    }
+    return { clicks, centroids, levels };
+  }
+
+  // → {clicks: seconds[], centroids: Hz and levels: dBFS per click}. Rejects with an AbortError when canceled.
+  async function analyzeClicks(samples, sr) {
+    const job = { cancel() {} };
+    analysisJob = job;
+    showAnalysisProgress(0, 0);
+    try {
+      if (analysisWorkerUsable) {
+        try {
+          const result = await analyzeClicksInWorker(job, samples, sr);
+          // keep the detection preview in step, as the in-page pass does
+          if (!state.detectionPreview || state.detectionPreview.source !== samples) {
+            // (its envelope is masked to the analysis region: no reuse for another region)
+            const env = { hop: result.hop, odf: result.odf, odfMax: result.odfMax };
+            state.detectionPreview = {
+              source: samples,
+              samples: (state.bandpass.enabled || areaIsSet(state.area)) ? null : samples,
+              rawEnv: env,
+              env,
+              thr: result.thr,
+              clicks: result.clicks
+            };
+          }
+          if (detectInfoEl) detectInfoEl.textContent = `${result.clicks.length} clicks at these settings`;
+          return result;
+        } catch (err) {
+          if (!err.workerUnavailable) throw err;
+          console.warn("Analysis worker unavailable, analyzing in the page:", err.message);
+          analysisWorkerUsable = false;
+        }
+      }
+      return await analyzeClicksInPage(job, samples, sr);
+    } finally {
+      analysisJob = null;
+      hideAnalysisProgress();
+    }
+  }
+
+  // ---------- SETLIST ----------
+  // A queue of songs analyzed one after another with the current settings. The song being
+  // reviewed lives in the editor (state); its entry is refreshed from the editor before
+  // switching songs or exporting, so edits made while reviewing are kept.
+  const setlist = { songs: [], activeId: null, nextId: 1, running: false };
+
+  function activeSong() {
+    return setlist.songs.find(song => song.id === setlist.activeId) || null;
+  }
+
+  function addSongsToSetlist(files) {
+    for (const file of files) {
+      setlist.songs.push({
+        id: setlist.nextId++,
+        file,
+        name: baseFileName(file.name),
+        timecode: setlist.songs.length + 1, // timecode number "Map All" puts it on
+        status: "queued", // queued | analyzing | done | error
+        message: "",
+        grid: null // {beats, beatsPerBar, meterPins, sections, timecode, area}
+      });
+    }
+    renderSetlist();
+  }
+
+  // editor → active song
+  function storeActiveSong() {
+    const song = activeSong();
+    if (!song || song.status !== "done") return;
+    song.grid = {
+      beats: state.beats.map(b => ({ ...b })),
+      beatsPerBar: state.beatsPerBar,
+      meterPins: state.meterPins.map(p => ({ ...p })),
+      sections: state.sections.map(sec => ({ ...sec })),
+      timecode: { ...state.timecode },
+      area: copyArea(state.area),
+      regularize: { ...state.regularize }
+    };
+    song.message = `${song.grid.beats.length} beats`;
+  }
+
+  async function analyzeSetlist() {
+    if (setlist.running || analysisJob) return;
+    storeActiveSong();
+    stopPlayback();
+    setlist.running = true;
+    try {
+      for (const song of setlist.songs) {
+        if (song.status === "done") continue;
+        song.status = "analyzing";
+        setlist.activeId = song.id;
+        renderSetlist();
+        try {
+          await analyzeFile(song.file);
+          resetHistory(`Analyze ${song.file.name}`);
+          song.status = "done";
+          storeActiveSong();
+        } catch (err) {
+          setlist.activeId = null;
+          if (err.name === "AbortError") {
+            // canceled: this song and the rest stay queued
+            song.status = "queued";
+            refreshBeatViews();
+            break;
+          }
+          console.error(err);
+          song.status = "error";
+          song.message = err?.message || String(err);
+          song.grid = null;
+        }
+      }
+    } finally {
+      setlist.running = false;
+      renderSetlist();
+    }
+  }
+
+  // Load a finished song back into the editor for review and edits
+  async function reviewSong(song) {
+    if (setlist.running || !song.grid || song.id === setlist.activeId) return;
+    storeActiveSong();
+    stopPlayback();
+    output.textContent = `Loading ${song.name}…`;
+    if (song.file) {
+      await audioCtx.resume();
+      await loadAudio(song.file);
+    } else {
+      // imported from a plugin: just the grid
+      unloadAudio();
+      state.fileBaseName = song.name;
+      restoreView({ zoom: 1, scroll: 0 });
+      state.selectedBeatIndex = -1;
+      if (channelInfoEl) channelInfoEl.textContent = `No audio: ${song.name} was imported from a plugin`;
+    }
+
+    setlist.activeId = song.id;
+    const grid = song.grid;
+    state.beatsPerBar = grid.beatsPerBar;
+    state.meterPins = grid.meterPins.map(p => ({ ...p }));
+    state.sections = grid.sections.map(sec => ({ ...sec }));
+    state.timecode = { ...grid.timecode };
+    state.area = copyArea(grid.area || DEFAULT_AREA);
+    state.regularize = { ...(grid.regularize || state.regularize) };
+    syncTimecodeControls();
+    syncFitControls();
+    setBeats(grid.beats.map(b => ({ ...b })));
+    resetHistory(`Review ${song.name}`);
+    renderSetlist();
+  }
+
+  function removeSong(song) {
+    if (setlist.running) return;
+    if (song.id === setlist.activeId) setlist.activeId = null;
+    setlist.songs = setlist.songs.filter(s => s !== song);
+    renderSetlist();
+  }
+
+  function renderSetlist() {
+    const ready = setlist.songs.filter(song => song.grid && song.grid.beats.length);
+    if (setlistAnalyzeBtn) setlistAnalyzeBtn.disabled = setlist.running || !setlist.songs.some(song => song.status !== "done");
+    if (setlistDownloadBtn) setlistDownloadBtn.disabled = setlist.running || ready.length === 0;
+    if (setlistInfoEl) {
+      const done = setlist.songs.filter(song => song.status === "done").length;
+      setlistInfoEl.textContent = setlist.songs.length ? `${done}/${setlist.songs.length} analyzed` : "";
+    }
+    if (!setlistBody) return;
+
+    setlistBody.innerHTML = "";
+    setlist.songs.forEach((song, i) => {
+      const tr = document.createElement("tr");
+      if (song.id === setlist.activeId) tr.style.background = "#1e3a8a";
+
+      const cell = (content) => {
+        const td = document.createElement("td");
+        td.style.padding = "2px 8px";
+        if (content instanceof Node) td.appendChild(content); else td.textContent = content;
+        tr.appendChild(td);
+        return td;
+      };
+
+      cell(String(i + 1));
+      cell(song.name);
+
+      const tc = document.createElement("input");
+      tc.type = "number";
+      tc.min = "1";
+      tc.step = "1";
+      tc.value = String(song.timecode);
+      tc.style.width = "56px";
+      tc.title = "Timecode number for Map All";
+      tc.addEventListener("change", () => {
+        const v = Math.round(Number(tc.value));
+        if (v >= 1) song.timecode = v;
+        tc.value = String(song.timecode);
+      });
+      cell(tc);
+
+      const status = {
+        queued: "queued",
+        analyzing: "analyzing…",
+        done: song.id === setlist.activeId ? `${song.message} · in editor` : song.message,
+        error: `error: ${song.message}`
+      }[song.status];
+      const statusTd = cell(status);
+      if (song.status === "error") statusTd.style.color = "#f87171";
+
+      const actions = document.createElement("span");
+      const review = document.createElement("button");
+      review.textContent = "Review";
+      review.style.margin = "0 4px 0 0";
+      review.style.padding = "2px 8px";
+      review.disabled = setlist.running || !song.grid || song.id === setlist.activeId;
+      review.addEventListener("click", () => reviewSong(song).catch(err => {
+        console.error(err);
+        output.textContent = `Error: ${err?.message || String(err)}`;
+      }));
+      const remove = document.createElement("button");
+      remove.textContent = "×";
+      remove.title = "Remove from setlist";
+      remove.style.margin = "0";
+      remove.style.padding = "2px 8px";
+      remove.disabled = setlist.running;
+      remove.addEventListener("click", () => removeSong(song));
+      actions.append(review, remove);
+      cell(actions);
+
+      setlistBody.appendChild(tr);
+    });
+  }
+
+  function downloadSetlistPlugin() {
+    storeActiveSong();
+    const ready = setlist.songs.filter(song => song.grid && song.grid.beats.length);
+    if (!ready.length) return;
+
+    const name = (setlistNameEl && setlistNameEl.value.trim()) || "Show";
+    const songs = ready.map(song => {
+      // bar/beat numbers for the marker names: imported and unopened songs don't have them yet
+      const { area = DEFAULT_AREA, regularize = state.regularize } = song.grid;
+      const counted = annotateBars(computeTempoOutputs(song.grid.beats, regularize, area), area);
+      const grid = exportedGrid(counted, song.grid.sections, area, regularize);
+      return {
+        name: song.name,
+        beats: grid.beats,
+        timecode: song.timecode,
+        timecodeOffset: timecodeOffsetSeconds(song.grid.timecode),
+        timecodeNote: timecodeNote(song.grid.timecode),
+        timecodeSetting: song.grid.timecode,
+        beatsPerBar: song.grid.beatsPerBar,
+        sections: grid.sections
+      };
+    });
+    const lua = buildLuaFromSongs(songs, name, {
+      markerStyle: state.markerStyle,
+      sectionExport: state.sectionExport
+    });
+    const blocks = splitLuaIntoBase64Blocks(lua, 1024);
+    const xml = buildXmlWithLuaBase64(blocks, name, songs.map(song => song.name));
+    saveBlob(new Blob([xml], { type: "application/xml;charset=utf-8" }), `${name} Setlist Importer.xml`);
+  }
+
   // ---------- EVENTS ----------
+// The zoom slider is logarithmic, from 1× to maxZoom()
+function syncZoomSliderToState() {
+  const top = Math.log(maxZoom());
+  const zoom = clamp(state.zoom || 1, 1, maxZoom());
+  if (zoomEl) zoomEl.value = String(top > 0 ? Math.round((Math.log(zoom) / top) * 1000) : 0);
+  if (zoomValEl) zoomValEl.textContent = formatZoom(zoom);
+}
+
 function syncScrollSliderToState() {
   // Keep scroll slider consistent with state.scroll (0..1)
   if (!scrollEl) return;
@@ -636,27 +3162,14 @@ function syncScrollSliderToState() {
 if (zoomEl) {
   zoomEl.addEventListener("input", () => {
     // Preserve the current view center when changing zoom.
-    const samples = state.samples;
-    if (!samples) return;
-
-    const total = samples.length;
-    const prevZoom = clamp(state.zoom || 1, 1, 50);
-    const prevViewLen = Math.max(1, Math.floor(total / prevZoom));
-    const prevScroll = clamp(state.scroll || 0, 0, 1);
-    const prevMaxStart = Math.max(0, total - prevViewLen);
-    const prevStart = Math.floor(prevScroll * prevMaxStart);
-    const center = prevStart + prevViewLen / 2;
-
-    state.zoom = Number(zoomEl.value) || 1;
-    state.zoom = clamp(state.zoom, 1, 50);
-    if (zoomValEl) zoomValEl.textContent = `${state.zoom}×`;
+    const total = timelineLength();
+    if (!total) return;
 
-    const newViewLen = Math.max(1, Math.floor(total / state.zoom));
-    const newMaxStart = Math.max(0, total - newViewLen);
-    const newStart = clamp(Math.floor(center - newViewLen / 2), 0, newMaxStart);
-
-    state.scroll = newMaxStart ? (newStart / newMaxStart) : 0;
-    syncScrollSliderToState();
+    const { start, end } = getViewRange();
+    const center = (start + end) / 2;
+    const zoom = Math.exp(((Number(zoomEl.value) || 0) / 1000) * Math.log(maxZoom()));
+    const len = total / zoom;
+    setViewWindow(center - len / 2, len);
     drawWaveformAndOverlay();
   });
 }
@@ -672,8 +3185,180 @@ if (zoomEl) {
 
   window.addEventListener("resize", () => drawWaveformAndOverlay());
 
+  if (channelViewSel) channelViewSel.addEventListener("change", () => drawWaveformAndOverlay());
+
+  // Detection sliders: update the readouts and the live preview; Analyze applies them
+  function syncDetectionControls() {
+    const d = state.detection;
+    const label = (id, text) => {
+      const el = document.getElementById(id);
+      if (el) el.textContent = text;
+    };
+    label("sensitivityVal", `${Math.round(d.sensitivity * 100)}%`);
+    label("minGapVal", `${d.minGapMs}ms`);
+    label("peakSearchVal", `${d.peakSearchMs}ms`);
+  }
+
+  let detectionPreviewRaf = 0;
+  const detectionInputs = [
+    [sensitivityEl, (v) => { state.detection.sensitivity = clamp(v / 100, 0, 1); }],
+    [minGapEl, (v) => { state.detection.minGapMs = Math.max(1, v); }],
+    [peakSearchEl, (v) => { state.detection.peakSearchMs = Math.max(1, v); }]
+  ];
+  for (const [el, apply] of detectionInputs) {
+    if (!el) continue;
+    apply(Number(el.value) || 0);
+    el.addEventListener("input", () => {
+      apply(Number(el.value) || 0);
+      syncDetectionControls();
+      cancelAnimationFrame(detectionPreviewRaf);
+      detectionPreviewRaf = requestAnimationFrame(refreshDetectionPreview);
+    });
+  }
+  syncDetectionControls();
+
+  // Band-pass controls apply on commit ("change"): refiltering a long file isn't slider-cheap
+  function refreshDetectionPreview() {
+    if (updateDetectionPreview()) drawDetectionPreview();
+  }
+
+  function readBandpassControls() {
+    const bp = state.bandpass;
+    if (bandpassChk) bp.enabled = bandpassChk.checked;
+    const low = Number(bandLowEl && bandLowEl.value);
+    const high = Number(bandHighEl && bandHighEl.value);
+    if (low > 0) bp.low = low;
+    if (high > 0) bp.high = high;
+    if (bp.high <= bp.low) bp.high = bp.low * 2;
+  }
+
+  function syncBandpassControls() {
+    const bp = state.bandpass;
+    if (bandpassChk) bandpassChk.checked = bp.enabled;
+    if (bandLowEl) bandLowEl.value = String(bp.low);
+    if (bandHighEl) bandHighEl.value = String(bp.high);
+  }
+
+  for (const el of [bandpassChk, bandLowEl, bandHighEl]) {
+    if (!el) continue;
+    el.addEventListener("change", () => {
+      readBandpassControls();
+      syncBandpassControls();
+      refreshDetectionPreview();
+    });
+  }
+  readBandpassControls();
+
+  // "Pick a sample click": set the band from the selected marker's spectrum
+  if (learnBandBtn) {
+    learnBandBtn.addEventListener("click", () => {
+      const beat = selectedBeat();
+      if (!beat || !state.samples) {
+        if (detectInfoEl) detectInfoEl.textContent = "Select a marker on a clean click first";
+        return;
+      }
+      const size = 2048;
+      const spectrum = analyzeSpectrum(state.samples, state.sampleRate, beat.time, size);
+      if (!spectrum) return;
+      const band = clickBandFromSpectrum(spectrum, state.sampleRate, size);
+      state.bandpass = { enabled: true, low: band.low, high: band.high };
+      syncBandpassControls();
+      refreshDetectionPreview();
+    });
+  }
+
+  function readFitControls() {
+    const fit = state.regularize;
+    if (fitChk) fit.enabled = fitChk.checked;
+    const tol = Number(fitTolEl && fitTolEl.value);
+    if (tol > 0) fit.toleranceMs = tol;
+    if (fitTolEl) fitTolEl.value = String(fit.toleranceMs);
+  }
+
+  function syncFitControls() {
+    if (fitChk) fitChk.checked = state.regularize.enabled;
+    if (fitTolEl) fitTolEl.value = String(state.regularize.toleranceMs);
+  }
+
+  for (const el of [fitChk, fitTolEl]) {
+    if (!el) continue;
+    el.addEventListener("change", () => {
+      readFitControls();
+      applyRegularization();
+    });
+  }
+  readFitControls();
+  if (snapFitBtn) snapFitBtn.addEventListener("click", () => snapBeatsToFit());
+
+  function syncClassifierControls() {
+    const c = state.classifier;
+    if (downbeatModeSel) downbeatModeSel.value = c.mode;
+    if (toneCountEl) {
+      toneCountEl.value = String(c.tones);
+      toneCountEl.disabled = c.mode !== "pitch";
+    }
+    if (downbeatMeterEl) {
+      downbeatMeterEl.value = String(c.meter);
+      downbeatMeterEl.disabled = c.mode !== "meter";
+    }
+  }
+
+  function readClassifierControls() {
+    const c = state.classifier;
+    if (downbeatModeSel) c.mode = downbeatModeSel.value;
+    if (toneCountEl) c.tones = clamp(Math.round(Number(toneCountEl.value)) || 2, 2, 4);
+    if (downbeatMeterEl) c.meter = clamp(Math.round(Number(downbeatMeterEl.value)) || 4, 1, 12);
+  }
+
+  // Settings apply to the next Analyze; Reclassify applies them to the grid now
+  for (const el of [downbeatModeSel, toneCountEl, downbeatMeterEl]) {
+    if (!el) continue;
+    el.addEventListener("change", () => {
+      readClassifierControls();
+      syncClassifierControls();
+    });
+  }
+  readClassifierControls();
+  syncClassifierControls();
+  if (reclassifyBtn) reclassifyBtn.addEventListener("click", () => reclassifyGrid());
+
+  // "Tap" the first downbeat: the selected beat becomes bar 1 of a meter-based grid
+  if (firstDownbeatBtn) {
+    firstDownbeatBtn.addEventListener("click", () => {
+      const beat = selectedBeat();
+      if (!beat) return;
+      readClassifierControls();
+      state.classifier.mode = "meter";
+      state.classifier.firstDownbeat = beat.time;
+      syncClassifierControls();
+      reclassifyGrid();
+    });
+  }
+
+  if (qaFixAllBtn) {
+    qaFixAllBtn.addEventListener("click", () => {
+      const issues = state.qaIssues;
+      fixGridIssues(issues, `Fix ${issues.length} QA issue${issues.length === 1 ? "" : "s"}`);
+    });
+  }
+  if (qaReportBtn) qaReportBtn.addEventListener("click", () => downloadQaReport());
+
+  if (pinMeterBtn) {
+    pinMeterBtn.addEventListener("click", () => {
+      const fromBar = Math.round(Number(meterFromEl && meterFromEl.value));
+      const toBar = Math.round(Number(meterToEl && meterToEl.value));
+      const bpb = clamp(Math.round(Number(meterBpbEl && meterBpbEl.value)) || 4, 2, 12);
+      if (!pinMeter(fromBar, toBar, bpb)) {
+        output.textContent = `No bars ${fromBar}–${toBar} in the current grid.\n\n` + output.textContent;
+      }
+    });
+  }
+  renderMeterPins();
+
   canvas.addEventListener("mousemove", (e) => {
     const hit = hitTestMarker(e.clientX, e.clientY);
+    const dragKind = state.drag && state.drag.kind;
+    canvas.style.cursor = (hit || dragKind === "marker") ? "ew-resize" : (dragKind === "pan" ? "grabbing" : "default");
     if (!hit) { hideTooltip(); return; }
     const beat = state.beats[hit.beatIndex];
     if (!beat) { hideTooltip(); return; }
@@ -682,99 +3367,545 @@ if (zoomEl) {
 
   canvas.addEventListener("mouseleave", () => hideTooltip());
 
+  // Wheel zooms around the pointer (a trackpad pinch arrives as Ctrl+wheel and does the same);
+  // a sideways swipe or Shift+wheel pans
+  canvas.addEventListener("wheel", (e) => {
+    if (!timelineLength()) return;
+    e.preventDefault();
+    const unit = e.deltaMode === 1 ? 16 : (e.deltaMode === 2 ? 400 : 1); // lines / pages → px
+    const dx = e.deltaX * unit;
+    const dy = e.deltaY * unit;
+    if (e.shiftKey || Math.abs(dx) > Math.abs(dy)) {
+      const { start, end } = getViewRange();
+      const width = Math.max(1, canvas.getBoundingClientRect().width);
+      setViewWindow(start + (Math.abs(dx) > Math.abs(dy) ? dx : dy) * (end - start) / width, end - start);
+      drawWaveformAndOverlay();
+    } else {
+      zoomAt(e.clientX, Math.exp(-dy * (e.ctrlKey ? 0.01 : 0.002)));
+    }
+  }, { passive: false });
+
+  // Touch: one finger pans, two pinch-zoom around their midpoint
+  let touchView = null; // {x, spread, start, len} when the gesture began
+
+  function touchSpan(touches) {
+    const a = touches[0], b = touches[1] || touches[0];
+    return { x: (a.clientX + b.clientX) / 2, spread: Math.abs(a.clientX - b.clientX) };
+  }
+
+  canvas.addEventListener("touchstart", (e) => {
+    if (!timelineLength() || e.touches.length > 2) { touchView = null; return; }
+    const { start, end } = getViewRange();
+    touchView = { ...touchSpan(e.touches), start, len: end - start, fingers: e.touches.length };
+  }, { passive: true });
+
+  canvas.addEventListener("touchmove", (e) => {
+    if (!touchView || e.touches.length !== touchView.fingers) return;
+    e.preventDefault();
+    const rect = canvas.getBoundingClientRect();
+    const width = Math.max(1, rect.width);
+    const now = touchSpan(e.touches);
+    // the time that was under the fingers' midpoint stays under it
+    const len = touchView.fingers === 2 ? touchView.len * Math.max(1, touchView.spread) / Math.max(1, now.spread) : touchView.len;
+    const anchor = touchView.start + ((touchView.x - rect.left) / width) * touchView.len;
+    setViewWindow(anchor - ((now.x - rect.left) / width) * len, len);
+    drawWaveformAndOverlay();
+  }, { passive: false });
+
+  canvas.addEventListener("touchend", (e) => {
+    touchView = null;
+    if (e.touches.length) {
+      const { start, end } = getViewRange();
+      touchView = { ...touchSpan(e.touches), start, len: end - start, fingers: e.touches.length };
+    }
+  });
+
+  if (minimapCanvas) {
+    let minimapDragging = false;
+    minimapCanvas.addEventListener("mousedown", (e) => {
+      if (e.button !== 0 || !timelineLength()) return;
+      e.preventDefault();
+      minimapDragging = true;
+      minimapSeek(e.clientX);
+    });
+    window.addEventListener("mousemove", (e) => {
+      if (minimapDragging) minimapSeek(e.clientX);
+    });
+    window.addEventListener("mouseup", () => { minimapDragging = false; });
+  }
+
+  if (jumpBtn && jumpToEl) {
+    const jump = () => jumpToPosition(jumpKindSel ? jumpKindSel.value : "bar", Number(jumpToEl.value));
+    jumpBtn.addEventListener("click", () => { if (!jumpBtn.disabled) jump(); });
+    jumpToEl.addEventListener("keydown", (e) => {
+      if (e.key === "Enter" && state.beats.length) { e.preventDefault(); jump(); }
+    });
+  }
+
   canvas.addEventListener("click", (e) => {
+    if (state.suppressClick) { state.suppressClick = false; return; }
     const hit = hitTestMarker(e.clientX, e.clientY);
-    if (!hit) return;
+    if (!hit) {
+      // Plain click seeks the playhead, Shift+click clears the loop selection
+      if (e.shiftKey) {
+        state.selection = null;
+        drawWaveformAndOverlay();
+      } else if (state.audioBuffer) {
+        seekTo(clientXToTime(e.clientX));
+      }
+      return;
+    }
     state.selectedBeatIndex = hit.beatIndex;
+    updateEditButtons();
+    drawMarkerLayer();
+  });
+
+  canvas.addEventListener("dblclick", (e) => {
+    if (!timelineLength() || hitTestMarker(e.clientX, e.clientY)) return;
+    const t = clientXToTime(e.clientX);
+    // Alt places the beat exactly where clicked instead of snapping to the nearest peak
+    addBeatAt(e.altKey ? t : snapToPeak(t));
+  });
+
+  // Drag a marker to a new time (the grid is recomputed once on release),
+  // Shift+drag on empty waveform to select a loop range, or plain drag on it to pan.
+  canvas.addEventListener("mousedown", (e) => {
+    if (e.button !== 0) return;
+    state.suppressClick = false;
+    const hit = hitTestMarker(e.clientX, e.clientY);
+    if (hit) {
+      e.preventDefault();
+      state.selectedBeatIndex = hit.beatIndex;
+      state.drag = { kind: "marker", beatIndex: hit.beatIndex, startX: e.clientX, moved: false };
+      updateEditButtons();
+      drawMarkerLayer();
+    } else if (e.shiftKey && state.samples) {
+      e.preventDefault();
+      state.drag = { kind: "select", anchor: clientXToTime(e.clientX), startX: e.clientX, moved: false };
+    } else if (timelineLength()) {
+      const { start, end } = getViewRange();
+      state.drag = { kind: "pan", view: { start, len: end - start }, startX: e.clientX, moved: false };
+    }
+  });
+
+  window.addEventListener("mousemove", (e) => {
+    const drag = state.drag;
+    if (!drag) return;
+    if (!drag.moved && Math.abs(e.clientX - drag.startX) < 3) return;
+    drag.moved = true;
+    if (drag.kind === "pan") {
+      const width = Math.max(1, canvas.getBoundingClientRect().width);
+      setViewWindow(drag.view.start - (e.clientX - drag.startX) * drag.view.len / width, drag.view.len);
+      drawWaveformAndOverlay();
+      return;
+    }
+    const t = clientXToTime(e.clientX);
+    if (drag.kind === "marker") {
+      state.beats[drag.beatIndex].time = t;
+      drawMarkerLayer();
+      return;
+    }
+    state.selection = { start: Math.min(drag.anchor, t), end: Math.max(drag.anchor, t) };
     drawWaveformAndOverlay();
   });
 
+  window.addEventListener("mouseup", () => {
+    const drag = state.drag;
+    if (!drag) return;
+    state.drag = null;
+    if (!drag.moved) return;
+    state.suppressClick = true;
+    if (drag.kind === "marker") {
+      const beat = state.beats[drag.beatIndex];
+      setBeats(state.beats, beat, `Move beat to ${fmt3(beat.time)}s`);
+    } else if (drag.kind === "select" && playback.playing && activeLoop()) {
+      startPlayback(state.selection.start);
+    }
+  });
+
+  document.addEventListener("keydown", (e) => {
+    const tag = (e.target && e.target.tagName) || "";
+    if (/^(INPUT|TEXTAREA|SELECT)$/.test(tag)) return;
+
+    // Ctrl/Cmd+Z undo, Ctrl/Cmd+Shift+Z (or Ctrl+Y) redo
+    if ((e.ctrlKey || e.metaKey) && !e.altKey) {
+      const k = e.key.toLowerCase();
+      if (k === "z" && !e.shiftKey) { if (undo()) e.preventDefault(); }
+      else if ((k === "z" && e.shiftKey) || k === "y") { if (redo()) e.preventDefault(); }
+      return;
+    }
+    if (e.ctrlKey || e.metaKey || e.altKey) return;
+
+    if (e.key === "Delete" || e.key === "Backspace") {
+      if (deleteSelectedBeat()) e.preventDefault();
+    } else if (e.key === "d" || e.key === "D") {
+      if (toggleSelectedDownbeat()) e.preventDefault();
+    } else if (e.key === " ") {
+      if (state.audioBuffer) {
+        e.preventDefault();
+        togglePlayback();
+      }
+    } else if (e.key === "Escape" && state.selectedBeatIndex !== -1) {
+      state.selectedBeatIndex = -1;
+      updateEditButtons();
+      drawMarkerLayer();
+    }
+  });
+
+  if (deleteBeatBtn) deleteBeatBtn.addEventListener("click", () => deleteSelectedBeat());
+  if (toggleDownbeatBtn) toggleDownbeatBtn.addEventListener("click", () => toggleSelectedDownbeat());
+  if (undoBtn) undoBtn.addEventListener("click", () => undo());
+  if (redoBtn) redoBtn.addEventListener("click", () => redo());
+
+  if (playBtn) playBtn.addEventListener("click", () => togglePlayback());
+  if (stopBtn) stopBtn.addEventListener("click", () => stopPlayback());
+  if (loopChk) {
+    loopChk.addEventListener("change", () => {
+      if (playback.playing) startPlayback(playheadTime());
+    });
+  }
+  if (trackVolEl) {
+    const applyTrackVol = () => { trackGain.gain.value = (Number(trackVolEl.value) || 0) / 100; };
+    trackVolEl.addEventListener("input", applyTrackVol);
+    applyTrackVol();
+  }
+  if (metroVolEl) {
+    const applyMetroVol = () => { metroGain.gain.value = (Number(metroVolEl.value) || 0) / 100; };
+    metroVolEl.addEventListener("input", applyMetroVol);
+    applyMetroVol();
+  }
+
   downloadBtn.addEventListener("click", () => {
     if (downloadBtn.disabled) return;
-    downloadXmlFromState();
+    try {
+      downloadXmlFromState();
+    } catch (err) {
+      output.textContent = `Error: ${err?.message || String(err)}`;
+    }
   });
 
-  processBtn.addEventListener("click", async () => {
-    if (!fileInput.files.length) return;
+  midiBtn.addEventListener("click", () => {
+    if (midiBtn.disabled) return;
+    downloadMidiFromState();
+  });
 
-    downloadBtn.disabled = true;
-    output.textContent = "Analyzing…";
+  // Timecode: applied to the tooltip/list now and to the plugin on download
+  function syncTimecodeControls() {
+    if (tcStartEl) {
+      tcStartEl.value = state.timecode.start;
+      tcStartEl.style.outline = "";
+    }
+    if (tcRateSel) tcRateSel.value = state.timecode.rate;
+  }
+
+  function applyTimecodeControls() {
+    const rate = TC_RATES[tcRateSel ? tcRateSel.value : state.timecode.rate] || timecodeRate();
+    const text = tcStartEl ? tcStartEl.value : state.timecode.start;
+    const frames = parseTimecode(text, rate);
+    if (frames == null) {
+      if (tcStartEl) tcStartEl.style.outline = "2px solid #f87171"; // keep the last good value
+      return;
+    }
+    state.timecode = { start: framesToTimecode(frames, rate), rate: tcRateSel ? tcRateSel.value : state.timecode.rate };
+    syncTimecodeControls();
+    renderBeatList();
+  }
+
+  if (tcStartEl) tcStartEl.addEventListener("change", applyTimecodeControls);
+  if (tcRateSel) tcRateSel.addEventListener("change", applyTimecodeControls);
+  syncTimecodeControls();
+
+  // Marker naming/appearance/duration: shown in the beat list, written into the plugin
+  function syncMarkerStyleControls() {
+    const st = state.markerStyle;
+    if (markerDownNameEl) markerDownNameEl.value = st.downName;
+    if (markerOtherNameEl) markerOtherNameEl.value = st.otherName;
+    if (downAppNameEl) downAppNameEl.value = st.downAppearance;
+    if (downAppColorEl) downAppColorEl.value = st.downColor;
+    if (otherAppNameEl) otherAppNameEl.value = st.otherAppearance;
+    if (otherAppColorEl) otherAppColorEl.value = st.otherColor;
+    if (markerDurModeSel) markerDurModeSel.value = st.duration;
+    if (markerDurValEl) markerDurValEl.value = String(st.durationValue);
+    if (markerDurUnitEl) markerDurUnitEl.textContent = st.duration === "fixed" ? "s" : "× beat";
+  }
+
+  function readMarkerStyleControls() {
+    const st = state.markerStyle;
+    const prevMode = st.duration;
+    if (markerDownNameEl) st.downName = markerDownNameEl.value;
+    if (markerOtherNameEl) st.otherName = markerOtherNameEl.value;
+    if (downAppNameEl) st.downAppearance = downAppNameEl.value.trim() || DEFAULT_MARKER_STYLE.downAppearance;
+    if (downAppColorEl) st.downColor = downAppColorEl.value;
+    if (otherAppNameEl) st.otherAppearance = otherAppNameEl.value.trim() || DEFAULT_MARKER_STYLE.otherAppearance;
+    if (otherAppColorEl) st.otherColor = otherAppColorEl.value;
+    if (markerDurModeSel) st.duration = markerDurModeSel.value;
+    const v = Number(markerDurValEl && markerDurValEl.value);
+    if ((st.duration === "fixed") !== (prevMode === "fixed")) {
+      st.durationValue = st.duration === "fixed" ? 0.25 : 0.5; // seconds ↔ fraction: start sane
+    } else if (v > 0) {
+      st.durationValue = st.duration === "fixed" ? v : Math.min(1, v);
+    }
+  }
+
+  for (const el of [markerDownNameEl, markerOtherNameEl, downAppNameEl, downAppColorEl, otherAppNameEl, otherAppColorEl, markerDurModeSel, markerDurValEl]) {
+    if (!el) continue;
+    el.addEventListener("change", () => {
+      readMarkerStyleControls();
+      syncMarkerStyleControls();
+      renderBeatList();
+    });
+  }
+  syncMarkerStyleControls();
+
+  // Sections: bar range or the loop selection, snapped to downbeats
+  if (sectionNameEl && sectionColorEl) {
+    sectionNameEl.addEventListener("change", () => {
+      const known = SECTION_COLORS[sectionNameEl.value.trim().toLowerCase()];
+      if (known) sectionColorEl.value = known;
+    });
+  }
 
+  const sectionInputs = () => ({
+    name: sectionNameEl ? sectionNameEl.value : "",
+    color: sectionColorEl ? sectionColorEl.value : ""
+  });
+
+  if (addSectionBtn) {
+    addSectionBtn.addEventListener("click", () => {
+      const { name, color } = sectionInputs();
+      const fromBar = Math.round(Number(sectionFromEl && sectionFromEl.value));
+      const toBar = Math.round(Number(sectionToEl && sectionToEl.value));
+      if (!addSectionForBars(fromBar, toBar, name, color)) {
+        output.textContent = `Can't add "${name}" on bars ${fromBar}–${toBar}: check the name and bar range.\n\n` + output.textContent;
+      }
+    });
+  }
+
+  if (sectionFromSelBtn) {
+    sectionFromSelBtn.addEventListener("click", () => {
+      const { name, color } = sectionInputs();
+      if (!addSectionFromSelection(name, color)) {
+        output.textContent = "Shift+drag a loop selection and enter a section name first.\n\n" + output.textContent;
+      }
+    });
+  }
+
+  const selectFirst = () => {
+    output.textContent = "Shift+drag a loop selection first.\n\n" + output.textContent;
+  };
+  if (regionFromSelBtn) regionFromSelBtn.addEventListener("click", () => { if (!setRegionFromSelection()) selectFirst(); });
+  if (excludeSelBtn) excludeSelBtn.addEventListener("click", () => { if (!excludeSelection()) selectFirst(); });
+  if (clearRegionBtn) clearRegionBtn.addEventListener("click", () => clearArea());
+  if (regionTimesSel) {
+    regionTimesSel.addEventListener("change", () => {
+      state.area.rebase = regionTimesSel.value === "region";
+      renderBeatList();
+      renderRegion();
+      scheduleAutosave();
+    });
+  }
+
+  function readSectionExportControls() {
+    if (sectionExportSel) state.sectionExport.mode = sectionExportSel.value;
+    const group = Math.round(Number(sectionTrackGroupEl && sectionTrackGroupEl.value));
+    if (group >= 1) state.sectionExport.trackGroup = group;
+    if (sectionTrackGroupEl) sectionTrackGroupEl.disabled = state.sectionExport.mode !== "separate";
+  }
+
+  for (const el of [sectionExportSel, sectionTrackGroupEl]) {
+    if (el) el.addEventListener("change", readSectionExportControls);
+  }
+  readSectionExportControls();
+
+  if (importInput) {
+    importInput.addEventListener("change", async () => {
+      const file = importInput.files[0];
+      if (!file) return;
+      try {
+        await importTempoMap(file);
+      } catch (err) {
+        console.error(err);
+        if (importInfoEl) importInfoEl.textContent = `Import failed: ${err?.message || String(err)}`;
+      }
+      importInput.value = ""; // importing the same file again still fires "change"
+    });
+  }
+
+  if (setlistInput) {
+    setlistInput.addEventListener("change", () => {
+      addSongsToSetlist(Array.from(setlistInput.files));
+      setlistInput.value = "";
+    });
+  }
+  if (setlistAnalyzeBtn) setlistAnalyzeBtn.addEventListener("click", () => analyzeSetlist());
+  if (cancelAnalysisBtn) cancelAnalysisBtn.addEventListener("click", () => { if (analysisJob) analysisJob.cancel(); });
+  if (setlistDownloadBtn) setlistDownloadBtn.addEventListener("click", () => {
     try {
-      await audioCtx.resume();
+      downloadSetlistPlugin();
+    } catch (err) {
+      output.textContent = `Error: ${err?.message || String(err)}`;
+    }
+  });
 
-      const file = fileInput.files[0];
-      state.fileBaseName = baseFileName(file.name);
+  // Picking a single file leaves the setlist song (its edits are kept). The audio of a
+  // project opened without it goes straight under the grid.
+  fileInput.addEventListener("change", async () => {
+    storeActiveSong();
+    setlist.activeId = null;
+    renderSetlist();
+    const file = fileInput.files[0];
+    if (!file) return;
+    if (!projectSource || analysisJob || !(await audioMatchesSource(file, projectSource))) {
+      await listChannelsOf(file);
+      return;
+    }
+    try {
+      await attachProjectAudio(file);
+      if (projectInfoEl) projectInfoEl.textContent = `Attached ${file.name}`;
+      scheduleAutosave();
+    } catch (err) {
+      console.error(err);
+      if (projectInfoEl) projectInfoEl.textContent = `Couldn't load ${file.name}: ${err?.message || String(err)}`;
+    }
+  });
 
-      const buffer = await decode(file);
-      state.audioBuffer = buffer;
-      state.sampleRate = buffer.sampleRate;
+  if (saveProjectBtn) saveProjectBtn.addEventListener("click", () => downloadProject());
+  if (projectInput) {
+    projectInput.addEventListener("change", async () => {
+      const files = Array.from(projectInput.files);
+      if (!files.length) return;
+      try {
+        await openProjectFiles(files);
+      } catch (err) {
+        console.error(err);
+        if (projectInfoEl) projectInfoEl.textContent = `Open failed: ${err?.message || String(err)}`;
+      }
+      projectInput.value = "";
+    });
+  }
 
-      // mono: take channel 0
-      const samples = buffer.getChannelData(0);
-      state.samples = samples;
+  document.addEventListener("visibilitychange", () => {
+    if (document.visibilityState === "hidden") autosaveNow();
+  });
 
-      // reset view
-      state.zoom = zoomEl ? Number(zoomEl.value) : 1;
+  recordHistory("Empty grid");
+  restoreAutosave();
+
+  // Decode a file into the editor (or reuse it when it's the one already loaded): audio,
+  // analyzed channel and, for a new file, a fresh view. Returns the analyzed samples.
+  async function loadAudio(file) {
+    state.fileBaseName = baseFileName(file.name);
+
+    // Re-analyzing the same file (e.g. with another channel) reuses the decoded audio and view
+    const sameFile = (state.sourceFile === file && state.audioBuffer);
+    const buffer = sameFile ? state.audioBuffer : await decodePicked(file);
+    state.sourceFile = file;
+    state.audioBuffer = buffer;
+    state.sampleRate = buffer.sampleRate;
+    updateTransport();
+
+    // channel: picked, summed, or auto-detected click channel
+    populateChannelOptions(buffer.numberOfChannels);
+    const pick = pickAnalysisChannel(buffer, channelSel ? channelSel.value : "0", state.detection);
+    const samples = pick.samples;
+    state.samples = samples;
+    state.samplesPeak = pyramidPeak(samples); // builds the peak cache the waveform draws from
+    state.analysisChannel = pick.channel;
+    if (channelInfoEl) channelInfoEl.textContent = describeChannelPick(pick, buffer.numberOfChannels);
+
+    // reset view
+    if (!sameFile) {
+      state.zoom = 1;
       state.scroll = 0;
-      scrollEl.value = "0";
-      if (zoomValEl) zoomValEl.textContent = `${state.zoom}×`;
-      if (scrollValEl) scrollValEl.textContent = "0%";
-      state.selectedBeatIndex = -1;
+      syncZoomSliderToState();
+      syncScrollSliderToState();
+      state.selection = null;
+      state.meterPins = [];
+      state.sections = [];
+      state.classifier.firstDownbeat = null;
+      state.area = { ...DEFAULT_AREA, exclusions: [], rebase: state.area.rebase };
+    }
+    state.selectedBeatIndex = -1;
+    state.compareBeats = null;
+    if (importInfoEl) importInfoEl.textContent = "";
+    return samples;
+  }
 
-      // 1) detect click times
-      const clickTimes = detectClicks(samples, state.sampleRate);
+  // No audio in the editor (a project opened without it, a grid imported from a plugin): the
+  // grid can still be edited and exported, the timeline spans the beats.
+  function unloadAudio(sampleRate = 44100) {
+    state.audioBuffer = null;
+    state.sourceFile = null;
+    state.samples = null;
+    state.samplesPeak = 0;
+    state.detectionPreview = null;
+    state.filteredCache = null;
+    state.compareBeats = null;
+    state.area = { ...DEFAULT_AREA, exclusions: [], rebase: state.area.rebase };
+    state.sampleRate = sampleRate;
+    updateTransport();
+  }
 
-      // 2) analyze centroid per click
-      const events = [];
-      for (const t of clickTimes) {
-        const centroid = await analyzeCentroid(samples, state.sampleRate, t);
-        events.push({ time: t, centroid });
-      }
+  // Analyze a file into the editor grid (an undo step). Throws on failure.
+  async function analyzeFile(file) {
+    await audioCtx.resume();
+    const samples = await loadAudio(file);
+
+    // Music mix: no click to detect, track the beat instead
+    if (modeSel && modeSel.value === "mix") {
+      output.textContent = "Tracking beats…";
+      await new Promise(r => setTimeout(r, 0)); // let the status paint
+      state.beatsPerBar = 4;
+      const tracked = trackMixBeats(samples, state.sampleRate).filter(b => inAnalysisArea(b.time, state.area));
+      setBeats(tracked, null, `Beat-track ${file.name}`);
+      return;
+    }
 
-      // 3) classify downbeats using centroid clustering
-      const centroids = events.map(e => e.centroid);
-      const { c1, c2 } = kmeans2(centroids);
+    // 1) detect click times and 2) analyze centroid per click (off the main thread if possible)
+    const analysis = await analyzeClicks(samples, state.sampleRate);
+    const events = analysis.clicks.map((time, i) => ({
+      time,
+      centroid: analysis.centroids[i],
+      level: analysis.levels[i]
+    }));
 
-      // assign to closest centroid
-      let group1 = 0, group2 = 0;
-      const prelim = events.map(e => {
-        const d1 = Math.abs(e.centroid - c1);
-        const d2 = Math.abs(e.centroid - c2);
-        const g = (d1 <= d2) ? 1 : 2;
-        if (g === 1) group1++; else group2++;
-        return { ...e, group: g };
-      });
+    // 3) classify downbeats (pitch clusters, volume accents or meter) and 4) refine to a bar
+    // grid with beats-per-bar autodetect (meter changes, pickups, pins)
+    const grid = buildClickGrid(events, { classifier: state.classifier, meterPins: state.meterPins, area: state.area });
+    if (downbeatInfoEl) downbeatInfoEl.textContent = grid.note;
+    state.beatsPerBar = grid.beatsPerBar;
 
-      // fewer occurrences is likely the downbeat tone
-      const downGroup = group1 <= group2 ? 1 : 2;
-      let beats = prelim
-        .sort((a, b) => a.time - b.time)
-        .map(e => ({
-          time: e.time,
-          centroid: e.centroid,
-          downbeat: (e.group === downGroup) ? 1 : 0
-        }));
-
-      // 4) beats-per-bar autodetect + refine to a stable grid
-      const refined = refineDownbeatsByBarGrid(beats);
-      beats = refined.beats;
-
-      // 5) tempo outputs per your rule
-      beats = computeTempoOutputs(beats);
-      // store
-      state.beats = beats;
-
-      // draw + output list
-      drawWaveformAndOverlay();
-      renderBeatList();
+    // 5) tempo outputs per your rule, draw + output list (undoable)
+    setBeats(grid.beats, null, `Analyze ${file.name}`);
+  }
 
-      downloadBtn.disabled = (state.beats.length === 0);
+  processBtn.addEventListener("click", async () => {
+    // The setlist song under review is re-analyzed in place; otherwise the picked file
+    const song = activeSong();
+    if (song && !song.file) {
+      output.textContent = `${song.name} was imported from a plugin and has no audio to analyze. Pick its audio file to analyze it on its own.`;
+      return;
+    }
+    const file = song ? song.file : fileInput.files[0];
+    if (!file || setlist.running || analysisJob) return;
+
+    downloadBtn.disabled = true;
+    midiBtn.disabled = true;
+    output.textContent = "Analyzing…";
+    stopPlayback();
+
+    try {
+      await analyzeFile(file);
     } catch (err) {
+      if (err.name === "AbortError") {
+        // keep whatever grid was there
+        refreshBeatViews();
+        output.textContent = "Analysis canceled.\n\n" + output.textContent;
+        return;
+      }
       console.error(err);
+      setBeats([], null, "Analyze failed");
       output.textContent = `Error: ${err?.message || String(err)}`;
-      state.beats = [];
-      downloadBtn.disabled = true;
     }
   });
 
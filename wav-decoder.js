@@ -0,0 +1,92 @@
+// Pure-JS WAV reader for where there's no decodeAudioData (the command line tool):
+// PCM 8/16/24/32-bit and 32/64-bit float, plain or WAVE_FORMAT_EXTENSIBLE.
+// decodeWav(bytes) → an AudioBuffer look-alike: {sampleRate, numberOfChannels, length,
+// duration, getChannelData(c)}, which is all beatgrid-core.js asks of a buffer.
+(function (root) {
+  "use strict";
+
+  const WAVE_FORMAT_PCM = 1;
+  const WAVE_FORMAT_IEEE_FLOAT = 3;
+  const WAVE_FORMAT_EXTENSIBLE = 0xfffe;
+
+  function fourCC(view, offset) {
+    let id = "";
+    for (let i = 0; i < 4; i++) id += String.fromCharCode(view.getUint8(offset + i));
+    return id;
+  }
+
+  // One sample at a byte offset → -1..1
+  function sampleReader(view, fmt) {
+    if (fmt.format === WAVE_FORMAT_PCM) {
+      if (fmt.bits === 8) return (o) => (view.getUint8(o) - 128) / 128; // 8-bit WAV is unsigned
+      if (fmt.bits === 16) return (o) => view.getInt16(o, true) / 32768;
+      if (fmt.bits === 24) return (o) => (view.getUint8(o) | (view.getUint8(o + 1) << 8) | (view.getInt8(o + 2) << 16)) / 8388608;
+      if (fmt.bits === 32) return (o) => view.getInt32(o, true) / 2147483648;
+    }
+    if (fmt.format === WAVE_FORMAT_IEEE_FLOAT) {
+      if (fmt.bits === 32) return (o) => view.getFloat32(o, true);
+      if (fmt.bits === 64) return (o) => view.getFloat64(o, true);
+    }
+    throw new Error(`Unsupported WAV encoding (format ${fmt.format}, ${fmt.bits}-bit)`);
+  }
+
+  // bytes: ArrayBuffer, Uint8Array or a Node Buffer
+  function decodeWav(bytes) {
+    const u8 = bytes instanceof ArrayBuffer ? new Uint8Array(bytes) : bytes;
+    const view = new DataView(u8.buffer, u8.byteOffset, u8.byteLength);
+    if (u8.length < 12 || fourCC(view, 0) !== "RIFF" || fourCC(view, 8) !== "WAVE") {
+      throw new Error("Not a WAV file (no RIFF/WAVE header)");
+    }
+
+    let fmt = null, data = null;
+    for (let pos = 12; pos + 8 <= u8.length && !(fmt && data);) {
+      const id = fourCC(view, pos);
+      const body = pos + 8;
+      let size = view.getUint32(pos + 4, true);
+      if (id === "fmt ") {
+        if (size < 16) throw new Error("WAV fmt chunk is too short");
+        let format = view.getUint16(body, true);
+        if (format === WAVE_FORMAT_EXTENSIBLE && size >= 26) format = view.getUint16(body + 24, true); // sub-format GUID
+        fmt = {
+          format,
+          channels: view.getUint16(body + 2, true),
+          sampleRate: view.getUint32(body + 4, true),
+          blockAlign: view.getUint16(body + 12, true),
+          bits: view.getUint16(body + 14, true)
+        };
+      } else if (id === "data") {
+        // recorders that stream may leave the size at 0 or 0xFFFFFFFF: take the rest of the file
+        if (!size || body + size > u8.length) size = u8.length - body;
+        data = { offset: body, size };
+      }
+      pos = body + size + (size & 1); // chunks are word aligned
+    }
+    if (!fmt) throw new Error("WAV file has no fmt chunk");
+    if (!data) throw new Error("WAV file has no data chunk");
+    if (!fmt.channels || !fmt.sampleRate) throw new Error("WAV file has no channels or sample rate");
+
+    const read = sampleReader(view, fmt);
+    const sampleBytes = Math.ceil(fmt.bits / 8);
+    const frameBytes = fmt.blockAlign || fmt.channels * sampleBytes;
+    const length = Math.floor(data.size / frameBytes);
+    const channels = [];
+    for (let c = 0; c < fmt.channels; c++) {
+      const out = new Float32Array(length);
+      for (let i = 0, o = data.offset + c * sampleBytes; i < length; i++, o += frameBytes) out[i] = read(o);
+      channels.push(out);
+    }
+
+    return {
+      sampleRate: fmt.sampleRate,
+      numberOfChannels: fmt.channels,
+      length,
+      duration: length / fmt.sampleRate,
+      getChannelData: (c) => channels[c]
+    };
+  }
+
+  const WavDecoder = { decodeWav };
+
+  if (typeof module === "object" && module.exports) module.exports = WavDecoder;
+  else root.WavDecoder = WavDecoder;
+})(typeof self !== "undefined" ? self : this);